@@ -6,20 +6,28 @@
 class HabitTrackerApp {
     constructor() {
         this.isInitialized = false;
-        this.autoSaveInterval = null;
+        this.pendingImport = null;
+        this.storageWarningLevel = null;
+        this.currentDay = dateUtils.today();
         this.init();
     }
 
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         try {
+            // Wait for the storage backend to load its data
+            await storage.ready;
+            if (storage.loadError) {
+                this.showError('Your saved data could not be loaded. Please refresh before making changes.');
+            }
+
             // Initialize all modules
             this.initializeModules();
             
-            // Set up auto-save
-            this.setupAutoSave();
+            // Take rolling snapshots of all data
+            snapshotManager.start();
             
             // Set up periodic updates
             this.setupPeriodicUpdates();
@@ -38,6 +46,12 @@ class HabitTrackerApp {
             
             // Show welcome message for new users
             this.showWelcomeMessage();
+
+            // Open last week's report on the first visit of a new week, if enabled
+            uiManager.showWeeklyReportIfDue();
+
+            // Warn early if storage is filling up
+            this.checkStorageUsage();
             
         } catch (error) {
             console.error('Error initializing Habit Tracker:', error);
@@ -62,26 +76,27 @@ class HabitTrackerApp {
         
         // Initialize notifications
         notificationManager.init();
-    }
 
-    /**
-     * Set up auto-save functionality
-     */
-    setupAutoSave() {
-        // Auto-save every 30 seconds
-        this.autoSaveInterval = setInterval(() => {
-            this.autoSave();
-        }, 30000);
+        // Keep other open tabs in sync
+        syncManager.init();
+
+        // Tell the user when a change could not be saved
+        storage.onWriteError(error => this.handleWriteError(error));
     }
 
     /**
      * Set up periodic updates
      */
     setupPeriodicUpdates() {
-        // Update UI every minute
+        // Update UI every minute, redrawing everything once the local day changes
         setInterval(() => {
             if (this.isInitialized) {
-                uiManager.updateStatsDisplay();
+                if (dateUtils.today() !== this.currentDay) {
+                    this.currentDay = dateUtils.today();
+                    uiManager.refreshUI();
+                } else {
+                    uiManager.updateStatsDisplay();
+                }
             }
         }, 60000);
 
@@ -89,21 +104,83 @@ class HabitTrackerApp {
         setInterval(() => {
             if (this.isInitialized) {
                 this.checkStreakMilestones();
+                this.checkStorageUsage();
             }
         }, 3600000);
     }
 
     /**
-     * Auto-save current state
+     * Show a failed write to the user
+     * Storage has already rolled its in-memory copy back, so redraw from it
+     */
+    handleWriteError(error) {
+        historyManager.clear();
+        habitManager.loadHabits();
+        uiManager.refreshUI();
+
+        if (error.quotaExceeded) {
+            uiManager.showToast('Storage is full, so your last change was not saved.', 'error', {
+                label: 'Free up space',
+                onClick: () => uiManager.openStorage()
+            });
+        } else {
+            uiManager.showToast('Your last change could not be saved. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Warn once per level as storage fills up
      */
-    autoSave() {
+    async checkStorageUsage() {
+        const { percentUsed } = await storage.getStorageEstimate();
+        if (percentUsed === null) return;
+
+        const level = percentUsed >= 95 ? 'critical' : percentUsed >= 80 ? 'warning' : null;
+        if (level && level !== this.storageWarningLevel) {
+            uiManager.showToast(
+                `Storage is ${percentUsed}% full. Export a backup and free up space to keep saving changes.`,
+                level === 'critical' ? 'error' : 'warning',
+                { label: 'Free up space', onClick: () => uiManager.openStorage() }
+            );
+        }
+        this.storageWarningLevel = level;
+    }
+
+    /**
+     * Remove completions recorded before a date
+     */
+    async compactHistory(beforeDate) {
+        if (!confirm(`Permanently remove all completions recorded before ${beforeDate}? Export a backup first if you want to keep them.`)) {
+            return false;
+        }
+
+        const removed = storage.compactCompletions(beforeDate);
+        if (!await storage.flush()) return false;
+
+        historyManager.clear();
+        habitManager.loadHabits();
+        uiManager.refreshUI();
+        uiManager.showToast(`Removed ${removed} completion(s) recorded before ${beforeDate}`, 'success');
+        return true;
+    }
+
+    /**
+     * Delete every saved snapshot
+     */
+    async deleteSnapshots() {
+        if (!confirm('Delete all snapshots? You will not be able to restore earlier versions of your data.')) {
+            return false;
+        }
+
         try {
-            // Trigger a save by updating settings
-            const settings = storage.getSettings();
-            storage.saveSettings(settings);
-            
+            const snapshots = await storage.getSnapshots();
+            await storage.deleteSnapshots(snapshots.map(snapshot => snapshot.id));
+            uiManager.showToast(`Deleted ${snapshots.length} snapshot(s)`, 'success');
+            return true;
         } catch (error) {
-            console.error('Auto-save error:', error);
+            console.error('Delete snapshots error:', error);
+            uiManager.showToast('Failed to delete snapshots', 'error');
+            return false;
         }
     }
 
@@ -178,17 +255,11 @@ class HabitTrackerApp {
     exportData() {
         try {
             const data = storage.exportData();
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `habit-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
+            this.downloadFile(
+                JSON.stringify(data, null, 2),
+                `habit-tracker-backup-${dateUtils.today()}.json`,
+                'application/json'
+            );
             uiManager.showToast('Data exported successfully!', 'success');
         } catch (error) {
             console.error('Export error:', error);
@@ -196,52 +267,200 @@ class HabitTrackerApp {
         }
     }
 
+    /**
+     * Export all data encrypted with a passphrase
+     */
+    async exportEncryptedData() {
+        const envelope = await uiManager.requestPassphrase({
+            title: 'Encrypt Backup',
+            message: 'Choose a passphrase. It is needed to import the backup and cannot be recovered.',
+            submitLabel: 'Encrypt & Download',
+            confirm: true,
+            onSubmit: (passphrase) => backupCrypto.encrypt(storage.exportData(), passphrase)
+        });
+        if (!envelope) return;
+
+        try {
+            this.downloadFile(
+                JSON.stringify(envelope, null, 2),
+                `habit-tracker-backup-${dateUtils.today()}.encrypted.json`,
+                'application/json'
+            );
+            uiManager.showToast('Encrypted backup exported successfully!', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            uiManager.showToast('Failed to export data', 'error');
+        }
+    }
+
+    /**
+     * Export the habit list or the completion log as CSV
+     */
+    exportCsv(kind = 'completions') {
+        try {
+            const csv = kind === 'habits' ? csvManager.exportHabitsCsv() : csvManager.exportCompletionsCsv();
+            const name = kind === 'habits' ? 'habits' : 'completions';
+            this.downloadFile(csv, `habit-tracker-${name}-${dateUtils.today()}.csv`, 'text/csv');
+            uiManager.showToast('CSV exported successfully!', 'success');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            uiManager.showToast('Failed to export CSV', 'error');
+        }
+    }
+
+    /**
+     * Export a weekly or monthly report as printable HTML or as Markdown
+     */
+    exportReport(report, format = 'html') {
+        if (!report) return;
+        try {
+            if (format === 'md') {
+                this.downloadFile(reportManager.toMarkdown(report), reportManager.getFilename(report, 'md'), 'text/markdown');
+            } else {
+                this.downloadFile(reportManager.toHtml(report), reportManager.getFilename(report, 'html'), 'text/html');
+            }
+            uiManager.showToast('Report exported successfully!', 'success');
+        } catch (error) {
+            console.error('Report export error:', error);
+            uiManager.showToast('Failed to export report', 'error');
+        }
+    }
+
+    /**
+     * Trigger a browser download for generated content
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Import data from file
+     * Validates the backup and opens a preview; nothing is stored until applyImport.
+     * Encrypted backups prompt for their passphrase first.
+     */
+    async importData(file) {
+        const text = await this.readFile(file);
+
+        try {
+            if (this.isCsvFile(file)) {
+                return await this.importCsv(text);
+            }
+
+            let data = JSON.parse(text);
+            if (backupCrypto.isEncrypted(data)) {
+                const envelope = data;
+                // Refuse a damaged or crafted envelope before asking for the passphrase
+                backupCrypto.readEnvelope(envelope);
+                data = await uiManager.requestPassphrase({
+                    title: 'Encrypted Backup',
+                    message: 'Enter the passphrase this backup was exported with.',
+                    submitLabel: 'Decrypt',
+                    onSubmit: (passphrase) => backupCrypto.decrypt(envelope, passphrase)
+                });
+                if (!data) return null;
+            }
+
+            const validated = importManager.validate(data);
+            this.pendingImport = importManager.preview(validated);
+            uiManager.showImportPreview(this.pendingImport);
+            return this.pendingImport;
+        } catch (error) {
+            console.error('Import error:', error);
+            uiManager.showToast(`Failed to import data: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Read a file as text
      */
-    importData(file) {
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    const success = storage.importData(data);
-                    
-                    if (success) {
-                        // Reload all data
-                        habitManager.loadHabits();
-                        uiManager.refreshUI();
-                        notificationManager.loadReminders();
-                        
-                        uiManager.showToast('Data imported successfully!', 'success');
-                        resolve(true);
-                    } else {
-                        throw new Error('Invalid data format');
-                    }
-                } catch (error) {
-                    console.error('Import error:', error);
-                    uiManager.showToast('Failed to import data. Please check the file format.', 'error');
-                    reject(error);
-                }
-            };
-            
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => {
                 uiManager.showToast('Failed to read file', 'error');
                 reject(new Error('File read error'));
             };
-            
             reader.readAsText(file);
         });
     }
 
+    /**
+     * Import a CSV completion log straight into storage
+     */
+    async importCsv(text) {
+        if (!await this.takeSafetySnapshot('before-import')) return null;
+
+        const result = csvManager.importCompletionsCsv(text);
+        if (!await storage.flush()) return null;
+        historyManager.clear();
+        if (result.errors.length > 0) {
+            console.warn('Skipped CSV rows:', result.errors);
+        }
+
+        habitManager.loadHabits();
+        uiManager.refreshUI();
+
+        const skipped = result.errors.length > 0 ? `, skipped ${result.errors.length} invalid row(s)` : '';
+        uiManager.showToast(
+            `Added ${result.added} completion(s), ${result.duplicates} duplicate(s) ignored, ${result.habitsCreated} habit(s) created${skipped}`,
+            result.errors.length > 0 ? 'warning' : 'success'
+        );
+        return result;
+    }
+
+    isCsvFile(file) {
+        return file.type === 'text/csv' || /\.csv$/i.test(file.name || '');
+    }
+
+    /**
+     * Apply the pending import preview
+     */
+    async applyImport(mode, selectedIds = []) {
+        if (!this.pendingImport) return false;
+        if (!await this.takeSafetySnapshot('before-import')) return false;
+
+        try {
+            const result = importManager.apply(this.pendingImport, mode, selectedIds);
+            if (!await storage.flush()) return false;
+            this.pendingImport = null;
+            historyManager.clear();
+
+            // Reload all data
+            habitManager.loadHabits();
+            uiManager.refreshUI();
+            notificationManager.cancelAllReminderTimers();
+            notificationManager.loadReminders();
+
+            uiManager.showToast(`Imported ${result.habitsAdded} new habit(s), merged ${result.habitsMerged}, added ${result.completionsAdded} completion(s)`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Import error:', error);
+            uiManager.showToast('Failed to import data', 'error');
+            return false;
+        }
+    }
+
     /**
      * Clear all data
      */
-    clearAllData() {
-        if (confirm('Are you sure you want to clear all data? This action cannot be undone.')) {
+    async clearAllData() {
+        if (confirm('Are you sure you want to clear all data? A snapshot is saved first, so you can restore it from Snapshots.')) {
+            if (!await this.takeSafetySnapshot('before-clear')) return;
+
             try {
-                storage.clearAllData();
+                await storage.clearAllData();
+                historyManager.clear();
                 habitManager.loadHabits();
                 notificationManager.clearAllReminders();
                 uiManager.refreshUI();
@@ -254,6 +473,57 @@ class HabitTrackerApp {
         }
     }
 
+    /**
+     * Snapshot the data before a destructive change
+     * Returns false when the snapshot failed and the user chose not to go ahead without it
+     */
+    async takeSafetySnapshot(reason) {
+        try {
+            await snapshotManager.takeSnapshot(reason);
+            return true;
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            return confirm('A safety snapshot of your current data could not be saved. Continue anyway?');
+        }
+    }
+
+    /**
+     * Take a snapshot on request
+     */
+    async takeSnapshot() {
+        try {
+            await snapshotManager.takeSnapshot('manual');
+            uiManager.showToast('Snapshot saved', 'success');
+            return true;
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            uiManager.showToast('Failed to save snapshot', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Restore all data from a snapshot
+     */
+    async restoreSnapshot(snapshotId) {
+        try {
+            const snapshot = await snapshotManager.restore(snapshotId);
+            historyManager.clear();
+
+            notificationManager.cancelAllReminderTimers();
+            habitManager.loadHabits();
+            uiManager.refreshUI();
+            notificationManager.loadReminders();
+
+            uiManager.showToast(`Restored snapshot from ${new Date(snapshot.createdAt).toLocaleString()}`, 'success');
+            return true;
+        } catch (error) {
+            console.error('Restore error:', error);
+            uiManager.showToast(`Failed to restore snapshot: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
     /**
      * Get app statistics
      */
@@ -286,11 +556,8 @@ class HabitTrackerApp {
      * Handle beforeunload event
      */
     handleBeforeUnload() {
-        // Save any pending data
-        this.autoSave();
-        
-        // Clear any scheduled reminders
-        notificationManager.clearAllReminders();
+        // Stop scheduled reminders; their times stay saved for the next visit and other tabs
+        notificationManager.cancelAllReminderTimers();
     }
 
     /**
@@ -329,9 +596,7 @@ class HabitTrackerApp {
      */
     cleanup() {
         // Clear intervals
-        if (this.autoSaveInterval) {
-            clearInterval(this.autoSaveInterval);
-        }
+        snapshotManager.stop();
         
         // Clear any other resources
         this.isInitialized = false;
@@ -349,9 +614,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Expose useful functions globally for debugging
     window.debugApp = {
         exportData: () => window.habitTrackerApp.exportData(),
+        exportCsv: (kind) => window.habitTrackerApp.exportCsv(kind),
+        exportEncryptedData: () => window.habitTrackerApp.exportEncryptedData(),
         importData: (file) => window.habitTrackerApp.importData(file),
+        applyImport: (mode, habitIds) => window.habitTrackerApp.applyImport(mode, habitIds),
+        takeSnapshot: () => window.habitTrackerApp.takeSnapshot(),
+        getSnapshots: () => storage.getSnapshots(),
+        restoreSnapshot: (snapshotId) => window.habitTrackerApp.restoreSnapshot(snapshotId),
         clearData: () => window.habitTrackerApp.clearAllData(),
         getStats: () => window.habitTrackerApp.getAppStats(),
+        getStorageEstimate: () => storage.getStorageEstimate(),
+        compactHistory: (beforeDate) => window.habitTrackerApp.compactHistory(beforeDate),
         testNotification: () => notificationManager.testNotification()
     };
 });
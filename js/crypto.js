@@ -0,0 +1,147 @@
+/**
+ * Crypto Module - Passphrase encrypted backups via WebCrypto
+ * Derives an AES-GCM key from the passphrase with PBKDF2 and wraps the backup in an envelope
+ */
+
+class BackupCrypto {
+    constructor() {
+        this.FORMAT = 'habit-tracker-encrypted';
+        this.VERSION = 1;
+        this.ITERATIONS = 310000;
+        // Envelopes asking for more PBKDF2 rounds than this are refused instead of hanging the tab
+        this.MAX_ITERATIONS = 5000000;
+        this.MIN_PASSPHRASE_LENGTH = 8;
+    }
+
+    isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    }
+
+    /**
+     * Check whether parsed file contents are an encrypted backup
+     */
+    isEncrypted(data) {
+        return Boolean(data && data.format === this.FORMAT);
+    }
+
+    /**
+     * Encrypt a backup object into an envelope that is safe to save as JSON
+     */
+    async encrypt(data, passphrase) {
+        this.assertSupported();
+        if (!passphrase || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must be at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+        const plaintext = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.ITERATIONS, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+            data: this.toBase64(new Uint8Array(ciphertext)),
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Decrypt an envelope back into the backup object
+     * AES-GCM authenticates the data, so a wrong passphrase fails here instead of yielding garbage
+     */
+    async decrypt(envelope, passphrase) {
+        this.assertSupported();
+        if (envelope && envelope.version > this.VERSION) {
+            throw new Error('This encrypted backup was made by a newer version of Habit Tracker');
+        }
+        const { salt, iv, data, iterations } = this.readEnvelope(envelope);
+
+        let plaintext;
+        try {
+            const key = await this.deriveKey(passphrase, salt, iterations);
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        } catch (error) {
+            throw new Error('Incorrect passphrase, or the backup file is damaged');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * Check the shape of an envelope read from a file and decode its binary fields
+     * Throws for anything this version could not have written
+     */
+    readEnvelope(envelope) {
+        const invalid = () => new Error('This file is not a valid encrypted backup');
+        if (!envelope || typeof envelope !== 'object') throw invalid();
+
+        const { kdf, cipher } = envelope;
+        if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM') {
+            throw invalid();
+        }
+        if (!Number.isInteger(kdf.iterations) || kdf.iterations < this.ITERATIONS || kdf.iterations > this.MAX_ITERATIONS) {
+            throw invalid();
+        }
+        if (![kdf.salt, cipher.iv, envelope.data].every(value => typeof value === 'string' && value.length > 0)) {
+            throw invalid();
+        }
+
+        try {
+            return {
+                salt: this.fromBase64(kdf.salt),
+                iv: this.fromBase64(cipher.iv),
+                data: this.fromBase64(envelope.data),
+                iterations: kdf.iterations
+            };
+        } catch (error) {
+            throw invalid();
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    assertSupported() {
+        if (!this.isSupported()) {
+            throw new Error('Encryption needs a secure (https) connection and a modern browser');
+        }
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+// Create global backup crypto instance
+const backupCrypto = new BackupCrypto();
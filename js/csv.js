@@ -0,0 +1,230 @@
+/**
+ * CSV Module - Spreadsheet friendly export and import
+ * Exports the habit list and a long-format completion log, and imports the log back
+ */
+
+class CsvManager {
+    constructor() {
+        this.HABIT_COLUMNS = ['id', 'name', 'description', 'kind', 'frequency', 'schedule', 'target', 'unit', 'start_date', 'end_date', 'goal', 'tags', 'reminder_time', 'reminder_message', 'created_at', 'updated_at'];
+        this.COMPLETION_COLUMNS = ['habit_id', 'habit_name', 'date', 'timestamp', 'amount', 'note', 'rating', 'tags'];
+        this.TAG_SEPARATOR = ';';
+    }
+
+    /**
+     * Habit list, one row per habit
+     */
+    exportHabitsCsv() {
+        const rows = storage.getHabits().map(habit => [
+            habit.id,
+            habit.name,
+            habit.description || '',
+            habit.kind || 'build',
+            habit.frequency,
+            habitManager.describeSchedule(habit),
+            habit.target || '',
+            habit.unit || '',
+            habit.startDate || '',
+            habit.endDate || '',
+            habit.goal || '',
+            (habit.tags || []).join(this.TAG_SEPARATOR),
+            habit.reminderTime || '',
+            habit.reminderMessage || '',
+            habit.createdAt || '',
+            habit.updatedAt || ''
+        ]);
+        return this.stringify([this.HABIT_COLUMNS, ...rows]);
+    }
+
+    /**
+     * Completion log, one row per habit and completed day
+     * Pass habitIds to limit the log to some habits
+     */
+    exportCompletionsCsv(habitIds = null) {
+        const completions = storage.getCompletions();
+        const rows = [];
+
+        storage.getHabits()
+            .filter(habit => !habitIds || habitIds.includes(habit.id))
+            .forEach(habit => {
+                const tags = (habit.tags || []).join(this.TAG_SEPARATOR);
+                (completions[habit.id] || [])
+                    .slice()
+                    .sort((a, b) => a.date.localeCompare(b.date))
+                    .forEach(entry => {
+                        rows.push([habit.id, habit.name, entry.date, entry.timestamp || '', typeof entry.amount === 'number' ? entry.amount : '', entry.note || '', entry.rating || '', tags]);
+                    });
+            });
+
+        return this.stringify([this.COMPLETION_COLUMNS, ...rows]);
+    }
+
+    /**
+     * Import a completion log
+     * Rows are matched to habits by id, then by name; unknown habits are created.
+     * Dates already completed are counted as duplicates and left untouched.
+     * An optional amount column records the amount logged for measurable habits,
+     * and optional note and rating columns the note and 1-5 rating of the day.
+     * A timestamp, when given, must be an ISO 8601 date and time.
+     */
+    importCompletionsCsv(text) {
+        const [header, ...rows] = this.parse(text).filter(row => row.some(cell => cell.trim() !== ''));
+        if (!header) {
+            throw new Error('CSV file is empty');
+        }
+
+        const columns = header.map(name => name.trim().toLowerCase());
+        const column = (name) => columns.indexOf(name);
+        if (column('date') === -1 || (column('habit_id') === -1 && column('habit_name') === -1)) {
+            throw new Error('CSV needs a date column and a habit_id or habit_name column');
+        }
+
+        const result = { added: 0, duplicates: 0, habitsCreated: 0, errors: [] };
+        // Undo the apostrophe stringify puts before formula-like text
+        const cell = (row, name) => (column(name) !== -1 ? (row[column(name)] || '').trim().replace(/^'(?=[=+\-@\t\r])/, '') : '');
+
+        rows.forEach((row, index) => {
+            const line = index + 2;
+            const date = cell(row, 'date');
+            if (!dateUtils.isValid(date)) {
+                result.errors.push(`Row ${line}: invalid date "${date}"`);
+                return;
+            }
+
+            const habit = this.findOrCreateHabit(cell(row, 'habit_id'), cell(row, 'habit_name'), cell(row, 'tags'), result);
+            if (!habit) {
+                result.errors.push(`Row ${line}: no habit id or name`);
+                return;
+            }
+
+            let timestamp = cell(row, 'timestamp');
+            if (timestamp !== '') {
+                const recordedAt = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(timestamp) ? new Date(timestamp) : null;
+                if (!recordedAt || isNaN(recordedAt)) {
+                    result.errors.push(`Row ${line}: invalid timestamp "${timestamp}"`);
+                    return;
+                }
+                timestamp = recordedAt.toISOString();
+            }
+            const amount = cell(row, 'amount');
+            if (amount !== '' && !(Number(amount) > 0)) {
+                result.errors.push(`Row ${line}: invalid amount "${amount}"`);
+                return;
+            }
+
+            const details = { note: cell(row, 'note'), rating: cell(row, 'rating') !== '' ? Number(cell(row, 'rating')) : null };
+            const detailErrors = habitManager.validateCompletionDetails(details);
+            if (detailErrors.length > 0) {
+                result.errors.push(`Row ${line}: ${detailErrors.join(', ')}`);
+                return;
+            }
+
+            let added;
+            if (amount === '' && !details.note && !details.rating) {
+                added = storage.markHabitComplete(habit.id, date, timestamp || undefined);
+            } else {
+                const entry = { date, timestamp: timestamp || new Date().toISOString() };
+                if (amount !== '') entry.amount = Number(amount);
+                if (details.note) entry.note = details.note;
+                if (details.rating) entry.rating = details.rating;
+                added = storage.addCompletions(habit.id, [entry]) > 0;
+            }
+            if (added) {
+                result.added++;
+            } else {
+                result.duplicates++;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Find a habit by id or name, creating it from the row when neither matches
+     */
+    findOrCreateHabit(habitId, habitName, tags, result) {
+        const habits = storage.getHabits();
+        const byId = habitId && habits.find(h => h.id === habitId);
+        if (byId) return byId;
+
+        const name = habitName.toLowerCase();
+        const byName = name && habits.find(h => h.name.trim().toLowerCase() === name);
+        if (byName) return byName;
+
+        if (!habitName) return null;
+
+        result.habitsCreated++;
+        const habit = storage.addHabit({
+            name: habitName,
+            description: '',
+            kind: 'build',
+            frequency: 'daily',
+            schedule: { type: 'daily' },
+            reminderTime: '',
+            reminderMessage: 'Time to complete your habit!',
+            tags: tags.split(this.TAG_SEPARATOR).map(t => t.trim()).filter(Boolean)
+        });
+        habitManager.loadHabits();
+        return habit;
+    }
+
+    /**
+     * Serialize rows, quoting cells that contain separators, quotes or line breaks
+     * Text that a spreadsheet would run as a formula gets a leading apostrophe
+     */
+    stringify(rows) {
+        return rows.map(row => row.map(value => {
+            let text = String(value ?? '');
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    /**
+     * Parse RFC 4180 CSV text into rows of cells
+     */
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+}
+
+// Create global CSV manager instance
+const csvManager = new CsvManager();
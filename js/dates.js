@@ -0,0 +1,103 @@
+/**
+ * Dates Module - Calendar day helpers in the user's local time zone
+ * Completions are keyed by local "YYYY-MM-DD" day keys. Never derive a day key from
+ * toISOString(), which gives the UTC day and is off by one for part of every day.
+ */
+
+class DateUtils {
+    constructor() {
+        this.DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+        this.DAY_MS = 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Local day key of a Date
+     */
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    today() {
+        return this.toDateKey(new Date());
+    }
+
+    /**
+     * Local day an ISO timestamp falls on
+     */
+    fromTimestamp(timestamp) {
+        return this.toDateKey(new Date(timestamp));
+    }
+
+    /**
+     * Date at local midnight of a day key
+     */
+    parse(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    addDays(dateKey, days) {
+        const date = this.parse(dateKey);
+        date.setDate(date.getDate() + days);
+        return this.toDateKey(date);
+    }
+
+    /**
+     * Monday of the week containing a day key
+     */
+    startOfWeek(dateKey) {
+        const offset = (this.parse(dateKey).getDay() + 6) % 7;
+        return this.addDays(dateKey, -offset);
+    }
+
+    /**
+     * Whole days from one day key to another
+     * Counted on UTC dates so daylight saving changes never add or lose a day
+     */
+    daysBetween(fromKey, toKey) {
+        const toUTC = (dateKey) => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / this.DAY_MS);
+    }
+
+    /**
+     * Day keys of the last N days ending today, oldest first
+     */
+    lastNDays(days) {
+        const today = this.today();
+        const dates = [];
+        for (let i = days - 1; i >= 0; i--) {
+            dates.push(this.addDays(today, -i));
+        }
+        return dates;
+    }
+
+    /**
+     * Check that a string is a real "YYYY-MM-DD" day
+     */
+    isValid(dateKey) {
+        return typeof dateKey === 'string' &&
+            this.DATE_PATTERN.test(dateKey) &&
+            this.toDateKey(this.parse(dateKey)) === dateKey;
+    }
+
+    /**
+     * Next moment a local "HH:MM" time of day occurs, today or tomorrow
+     */
+    nextTimeOfDay(time, now = new Date()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const next = new Date(now);
+        next.setHours(hours, minutes, 0, 0);
+        if (next <= now) {
+            next.setDate(next.getDate() + 1);
+        }
+        return next;
+    }
+}
+
+// Create global date utility instance
+const dateUtils = new DateUtils();
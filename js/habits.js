@@ -6,6 +6,16 @@
 class HabitManager {
     constructor() {
         this.habits = [];
+        this.FREEZE_EARN_EVERY = 7;
+        this.MAX_FREEZES = 2;
+        // Timed completions of the last 60 days needed before a reminder time is suggested
+        this.MIN_TIMED_COMPLETIONS = 5;
+        // Two habits are only compared over at least this many shared days, each habit both
+        // done and not done on MIN_OUTCOME_DAYS of them; lift further than LIFT_THRESHOLD from 1 is reported
+        this.MIN_SHARED_DAYS = 21;
+        this.MIN_OUTCOME_DAYS = 5;
+        this.LIFT_THRESHOLD = 0.2;
+        this.WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
         this.loadHabits();
     }
 
@@ -17,14 +27,83 @@ class HabitManager {
     }
 
     /**
-     * Get all habits
+     * Get active habits; archived habits are left out of lists, stats and reminders
      */
     getHabits() {
-        return this.habits;
+        return this.habits.filter(h => !h.archived);
     }
 
     /**
-     * Get habit by ID
+     * Get archived habits, most recently archived first
+     */
+    getArchivedHabits() {
+        return this.habits
+            .filter(h => h.archived)
+            .sort((a, b) => (b.archivedAt || '').localeCompare(a.archivedAt || ''));
+    }
+
+    /**
+     * Tags of the active habits with how many habits carry each, sorted by tag
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.getHabits().forEach(habit => {
+            (habit.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag, undefined, { sensitivity: 'base' }));
+    }
+
+    /**
+     * Active habits carrying a tag; an empty tag selects the habits without tags
+     */
+    getHabitsByTag(tag) {
+        return this.getHabits().filter(habit => (tag === ''
+            ? (habit.tags || []).length === 0
+            : (habit.tags || []).includes(tag)));
+    }
+
+    /**
+     * Rename a tag on every habit, archived ones included
+     * Renaming to a tag that already exists merges the two. Returns how many habits changed.
+     */
+    renameTag(from, to) {
+        return this.mergeTags([from], to);
+    }
+
+    /**
+     * Replace several tags with one on every habit, archived ones included
+     * Returns how many habits changed
+     */
+    mergeTags(tags, into) {
+        const name = into.trim();
+        if (!name) return 0;
+
+        const changes = this.habits
+            .filter(habit => (habit.tags || []).some(tag => tags.includes(tag)))
+            .map(habit => {
+                const renamed = habit.tags.map(tag => (tags.includes(tag) ? name : tag));
+                return { habitId: habit.id, before: habit.tags, after: [...new Set(renamed)] };
+            })
+            .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+        if (changes.length === 0) return 0;
+
+        const apply = (field) => {
+            changes.forEach(change => storage.updateHabit(change.habitId, { tags: change[field] }));
+            this.loadHabits();
+        };
+
+        apply('after');
+        historyManager.record({
+            label: tags.length === 1 ? `Rename tag "${tags[0]}"` : `Merge ${tags.length} tags`,
+            undo: () => apply('before'),
+            redo: () => apply('after')
+        });
+        return changes.length;
+    }
+
+    /**
+     * Get habit by ID, archived or not
      */
     getHabit(habitId) {
         return this.habits.find(h => h.id === habitId);
@@ -36,6 +115,16 @@ class HabitManager {
     addHabit(habitData) {
         const habit = storage.addHabit(habitData);
         this.habits.push(habit);
+
+        const snapshot = { ...habit };
+        historyManager.record({
+            label: `Add "${habit.name}"`,
+            undo: () => {
+                storage.deleteHabit(snapshot.id);
+                notificationManager.clearReminder(snapshot.id);
+            },
+            redo: () => storage.putHabit(snapshot)
+        });
         return habit;
     }
 
@@ -43,8 +132,20 @@ class HabitManager {
      * Update habit
      */
     updateHabit(habitId, updates) {
+        const previous = storage.getHabit(habitId);
         const updatedHabit = storage.updateHabit(habitId, updates);
         if (updatedHabit) {
+            // Remember the old value of every field this update touched
+            const reverted = {};
+            Object.keys(updates).forEach(field => {
+                reverted[field] = previous[field];
+            });
+            historyManager.record({
+                label: `Edit "${previous.name}"`,
+                undo: () => storage.updateHabit(habitId, reverted),
+                redo: () => storage.updateHabit(habitId, updates)
+            });
+
             const index = this.habits.findIndex(h => h.id === habitId);
             if (index !== -1) {
                 this.habits[index] = updatedHabit;
@@ -57,79 +158,853 @@ class HabitManager {
      * Delete habit
      */
     deleteHabit(habitId) {
+        // Keep the full history and reminder so the deletion can be undone
+        const habit = storage.getHabit(habitId);
+        const completions = storage.getCompletions()[habitId] || [];
+        const reminder = storage.getSettings().reminderTimes[habitId];
+
         storage.deleteHabit(habitId);
         this.habits = this.habits.filter(h => h.id !== habitId);
+
+        if (habit) {
+            historyManager.record({
+                label: `Delete "${habit.name}"`,
+                undo: () => {
+                    storage.putHabit(habit);
+                    storage.addCompletions(habitId, completions);
+                    if (reminder) {
+                        this.loadHabits();
+                        notificationManager.scheduleReminder(habitId, reminder.time, reminder.message);
+                    }
+                },
+                redo: () => {
+                    storage.deleteHabit(habitId);
+                    notificationManager.clearReminder(habitId);
+                }
+            });
+        }
+    }
+
+    /**
+     * Archive habit, keeping its history
+     */
+    archiveHabit(habitId) {
+        this.setArchived(habitId, true);
+    }
+
+    /**
+     * Restore an archived habit
+     */
+    restoreHabit(habitId) {
+        this.setArchived(habitId, false);
+    }
+
+    setArchived(habitId, archived) {
+        const habit = this.getHabit(habitId);
+        if (!habit || Boolean(habit.archived) === archived) return;
+
+        const apply = (value) => {
+            storage.updateHabit(habitId, { archived: value, archivedAt: value ? new Date().toISOString() : null });
+            this.loadHabits();
+            // Archived habits get no reminders; restoring brings the habit's reminder back
+            if (value) {
+                notificationManager.clearReminder(habitId);
+            } else if (habit.reminderTime) {
+                notificationManager.scheduleReminder(habitId, habit.reminderTime, habit.reminderMessage);
+            }
+        };
+
+        apply(archived);
+        historyManager.record({
+            label: `${archived ? 'Archive' : 'Restore'} "${habit.name}"`,
+            undo: () => apply(!archived),
+            redo: () => apply(archived)
+        });
     }
 
     /**
      * Mark habit as complete for a specific date
      */
-    markComplete(habitId, date = new Date().toISOString().split('T')[0]) {
-        storage.markHabitComplete(habitId, date);
+    markComplete(habitId, date = dateUtils.today()) {
+        // A partial amount logged earlier comes back on undo
+        const previous = storage.getCompletionEntry(habitId, date);
+        if (storage.markHabitComplete(habitId, date)) {
+            const entry = storage.getCompletionEntry(habitId, date);
+            historyManager.record({
+                label: 'Mark complete',
+                undo: () => storage.setCompletionEntry(habitId, previous, date),
+                redo: () => storage.setCompletionEntry(habitId, entry)
+            });
+        }
+    }
+
+    /**
+     * Add to the amount logged for a measurable habit; returns the new total for the day
+     */
+    logAmount(habitId, amount, date = dateUtils.today()) {
+        const previous = storage.getCompletionEntry(habitId, date);
+        const total = storage.logAmount(habitId, amount, date);
+        const entry = storage.getCompletionEntry(habitId, date);
+        historyManager.record({
+            label: `Log ${amount > 0 ? '+' : ''}${amount}`,
+            undo: () => storage.setCompletionEntry(habitId, previous, date),
+            redo: () => storage.setCompletionEntry(habitId, entry, date)
+        });
+        return total;
+    }
+
+    /**
+     * Amount logged for a habit on a date
+     */
+    getAmount(habitId, date = dateUtils.today()) {
+        return storage.getEntryAmount(this.getHabit(habitId), storage.getCompletionEntry(habitId, date));
+    }
+
+    isMeasurable(habit) {
+        return storage.isMeasurable(habit);
+    }
+
+    /**
+     * Describe an amount against a habit's target, e.g. "5 / 8 glasses"
+     */
+    formatAmount(habit, amount) {
+        const format = (value) => Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+        return `${format(amount)} / ${format(habit.target)}${habit.unit ? ` ${habit.unit}` : ''}`;
+    }
+
+    /**
+     * Totals and averages of the amounts logged over the last `days` days
+     * The daily average covers every day in the window since the habit was created;
+     * days outside a time-boxed habit's start and end dates are left out
+     */
+    getAmountStats(habitId, days = 30) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return null;
+
+        const created = dateUtils.fromTimestamp(habit.createdAt || new Date().toISOString());
+        const dates = dateUtils.lastNDays(days).filter(date => date >= created && this.isInWindow(habit, date));
+        const amounts = storage.getAmounts(habitId);
+        amounts.forEach((amount, date) => {
+            if (!this.isInWindow(habit, date)) amounts.delete(date);
+        });
+
+        let total = 0;
+        let loggedDays = 0;
+        let bestDay = 0;
+        dates.forEach(date => {
+            const amount = amounts.get(date) || 0;
+            if (amount > 0) {
+                total += amount;
+                loggedDays++;
+                bestDay = Math.max(bestDay, amount);
+            }
+        });
+
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            total: round(total),
+            dailyAverage: dates.length > 0 ? round(total / dates.length) : 0,
+            loggedDays,
+            bestDay: round(bestDay),
+            allTimeTotal: round(Array.from(amounts.values()).reduce((sum, amount) => sum + amount, 0))
+        };
+    }
+
+    /**
+     * Attach a note and a 1-5 mood or effort rating to a day's completion
+     * Returns false when nothing was logged that day
+     */
+    setCompletionDetails(habitId, date, details) {
+        const previous = storage.getCompletionEntry(habitId, date);
+        if (!previous) return false;
+
+        const entry = storage.setCompletionDetails(habitId, date, details);
+        historyManager.record({
+            label: 'Edit note',
+            undo: () => storage.setCompletionEntry(habitId, previous),
+            redo: () => storage.setCompletionEntry(habitId, entry)
+        });
+        return true;
+    }
+
+    /**
+     * Validate a completion note and rating; returns a list of errors
+     */
+    validateCompletionDetails({ note = '', rating = null }) {
+        const errors = [];
+        if (note.length > 500) {
+            errors.push('Note is too long (max 500 characters)');
+        }
+        if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+            errors.push('Rating must be between 1 and 5');
+        }
+        return errors;
+    }
+
+    /**
+     * Completions of a habit that carry a note or rating, newest first
+     */
+    getCompletionNotes(habitId) {
+        return Array.from(storage.getCompletionIndex(habitId).values())
+            .filter(entry => entry.note || entry.rating)
+            .map(entry => ({ habitId, date: entry.date, note: entry.note || '', rating: entry.rating || null }))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Notes of every habit, archived ones included, that contain each word of the query; newest first
+     * An empty query matches every note
+     */
+    searchNotes(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.habits
+            .flatMap(habit => this.getCompletionNotes(habit.id))
+            .filter(item => item.note && words.every(word => item.note.toLowerCase().includes(word)))
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Ratings of the last `days` days, oldest first, with their average
+     */
+    getRatingTrend(habitId, days = 90) {
+        const from = dateUtils.addDays(dateUtils.today(), -(days - 1));
+        const points = this.getCompletionNotes(habitId)
+            .filter(item => item.rating && item.date >= from)
+            .map(item => ({ date: item.date, rating: item.rating }))
+            .reverse();
+        const average = points.length > 0
+            ? Math.round((points.reduce((sum, point) => sum + point.rating, 0) / points.length) * 10) / 10
+            : null;
+        return { from, points, average };
     }
 
     /**
      * Mark habit as incomplete for a specific date
      */
-    markIncomplete(habitId, date = new Date().toISOString().split('T')[0]) {
+    markIncomplete(habitId, date = dateUtils.today()) {
+        const entry = storage.getCompletionEntry(habitId, date);
+        if (!entry) return;
+
         storage.markHabitIncomplete(habitId, date);
+        historyManager.record({
+            label: 'Mark incomplete',
+            undo: () => storage.addCompletions(habitId, [entry]),
+            redo: () => storage.markHabitIncomplete(habitId, date)
+        });
     }
 
     /**
      * Check if habit is completed for a specific date
+     * For quit habits this means a relapse was logged that day
      */
-    isCompleted(habitId, date = new Date().toISOString().split('T')[0]) {
+    isCompleted(habitId, date = dateUtils.today()) {
         return storage.isHabitCompleted(habitId, date);
     }
 
     /**
-     * Calculate current streak for a habit
+     * Quit habits track abstinence: every day counts as a success unless a relapse is logged.
+     * Their completion entries record the relapses.
      */
-    calculateCurrentStreak(habitId) {
-        const completions = storage.getHabitCompletions(habitId, 365); // Check last year
-        let streak = 0;
-        const today = new Date().toISOString().split('T')[0];
-        
-        // Start from today and go backwards
-        for (let i = 0; i < completions.length; i++) {
-            const completion = completions[i];
-            if (completion.completed) {
-                streak++;
+    isQuitHabit(habit) {
+        return Boolean(habit && habit.kind === 'quit');
+    }
+
+    /**
+     * First day a quit habit is tracked: its "clean since" day, or the day it was created
+     */
+    getCleanSince(habit) {
+        return habit.cleanSince || dateUtils.fromTimestamp(habit.createdAt || new Date().toISOString());
+    }
+
+    /**
+     * Log a relapse of a quit habit; returns false when one was already logged that day
+     */
+    logRelapse(habitId, date = dateUtils.today()) {
+        if (!storage.markHabitComplete(habitId, date)) return false;
+
+        const entry = storage.getCompletionEntry(habitId, date);
+        historyManager.record({
+            label: 'Log relapse',
+            undo: () => storage.markHabitIncomplete(habitId, date),
+            redo: () => storage.addCompletions(habitId, [entry])
+        });
+        return true;
+    }
+
+    /**
+     * Remove a relapse logged by mistake
+     */
+    clearRelapse(habitId, date = dateUtils.today()) {
+        const entry = storage.getCompletionEntry(habitId, date);
+        if (!entry) return;
+
+        storage.markHabitIncomplete(habitId, date);
+        historyManager.record({
+            label: 'Remove relapse',
+            undo: () => storage.addCompletions(habitId, [entry]),
+            redo: () => storage.markHabitIncomplete(habitId, date)
+        });
+    }
+
+    /**
+     * Days a habit succeeded on: its completed days, or for a quit habit
+     * every day since tracking started that has no relapse.
+     * Days outside a time-boxed habit's window are left out.
+     */
+    getSuccessDates(habit) {
+        return this.cached(habit.id, 'success', () => {
+            let dates = storage.getCompletedDates(habit.id);
+            if (this.isQuitHabit(habit)) {
+                const relapses = dates;
+                const today = dateUtils.today();
+                dates = new Set();
+                for (let date = this.getCleanSince(habit); date <= today; date = dateUtils.addDays(date, 1)) {
+                    if (!relapses.has(date)) dates.add(date);
+                }
+            }
+
+            if (!habit.startDate && !habit.endDate) return dates;
+            return new Set(Array.from(dates).filter(date => this.isInWindow(habit, date)));
+        });
+    }
+
+    /**
+     * Whether a date lies within a habit's start and end dates; open-ended habits have no window
+     */
+    isInWindow(habit, date) {
+        return (!habit.startDate || date >= habit.startDate) && (!habit.endDate || date <= habit.endDate);
+    }
+
+    /**
+     * Progress of a time-boxed habit towards its goal, or null for an open-ended habit
+     * The goal is a number of completed periods (e.g. 20 of 30 days); without one, every
+     * scheduled period in the window has to be completed. Status is one of:
+     * 'upcoming'  - the window has not started yet
+     * 'active'    - running and the goal is not reached yet
+     * 'succeeded' - the goal was reached
+     * 'failed'    - the window closed before the goal was reached
+     */
+    getChallenge(habit) {
+        if (!habit.endDate && !habit.goal) return null;
+
+        return this.cached(habit.id, 'challenge', () => {
+            const today = dateUtils.today();
+            const start = this.getHistoryStart(habit);
+            const periods = this.getPeriods(habit, start, habit.endDate || today).filter(period => !period.excused);
+            const completed = periods.filter(period => period.completed).length;
+            const goal = habit.goal || periods.length;
+            // Periods that can still be completed, the current one included
+            const open = periods.filter(period => period.end >= today && !period.completed).length;
+
+            let status = 'active';
+            if (goal > 0 && completed >= goal) {
+                status = 'succeeded';
+            } else if (today < start) {
+                status = 'upcoming';
+            } else if (habit.endDate && today > habit.endDate) {
+                status = 'failed';
+            }
+
+            return {
+                start,
+                end: habit.endDate || null,
+                goal,
+                completed,
+                total: periods.length,
+                open,
+                reachable: completed + open >= goal,
+                daysLeft: habit.endDate ? Math.max(dateUtils.daysBetween(today, habit.endDate) + 1, 0) : null,
+                progress: goal > 0 ? Math.min(100, Math.round((completed / goal) * 100)) : 0,
+                status
+            };
+        });
+    }
+
+    /**
+     * Remember a per-habit result until the data next changes or the day rolls over
+     * Cached values are shared, so callers must not modify them
+     */
+    cached(habitId, name, compute) {
+        const key = `${storage.revision}|${dateUtils.today()}`;
+        if (this.cacheKey !== key) {
+            this.cacheKey = key;
+            this.cache = new Map();
+        }
+
+        const entryKey = `${habitId}|${name}`;
+        if (!this.cache.has(entryKey)) {
+            this.cache.set(entryKey, compute());
+        }
+        return this.cache.get(entryKey);
+    }
+
+    /**
+     * Schedule of a habit, one of:
+     * { type: 'daily' }
+     * { type: 'weekdays', days: [1, 3, 5] }   - days of the week, 0 = Sunday
+     * { type: 'timesPerWeek', count: 3 }      - any days, Monday to Sunday
+     * { type: 'everyNDays', interval: 2 }     - once in each block of N days
+     * Habits saved before schedules existed fall back to their frequency
+     */
+    getSchedule(habit) {
+        // Abstinence counts every day
+        if (this.isQuitHabit(habit)) {
+            return { type: 'daily' };
+        }
+        if (habit.schedule && habit.schedule.type) {
+            return habit.schedule;
+        }
+        return habit.frequency === 'weekly' ? { type: 'timesPerWeek', count: 1 } : { type: 'daily' };
+    }
+
+    /**
+     * Describe a schedule for display, e.g. "Mon, Wed, Fri" or "3× per week"
+     */
+    describeSchedule(habit) {
+        const schedule = this.getSchedule(habit);
+        if (schedule.type === 'weekdays') {
+            const days = [...schedule.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+            if (days.length === 7) return 'Daily';
+            if (days.join() === '1,2,3,4,5') return 'Weekdays';
+            return days.map(day => this.WEEKDAY_NAMES[day]).join(', ');
+        }
+        if (schedule.type === 'timesPerWeek') {
+            return schedule.count === 1 ? 'Weekly' : `${schedule.count}× per week`;
+        }
+        if (schedule.type === 'everyNDays') {
+            if (schedule.interval === 1) return 'Daily';
+            return schedule.interval === 2 ? 'Every other day' : `Every ${schedule.interval} days`;
+        }
+        return 'Daily';
+    }
+
+    /**
+     * Unit that streaks and rates are counted in: 'day', 'week' or 'time' (one N-day block)
+     */
+    getPeriodUnit(habit) {
+        const { type } = this.getSchedule(habit);
+        return type === 'timesPerWeek' ? 'week' : type === 'everyNDays' ? 'time' : 'day';
+    }
+
+    /**
+     * First day an every-N-days schedule counts its blocks from
+     */
+    getScheduleAnchor(habit) {
+        const schedule = this.getSchedule(habit);
+        return schedule.startDate || habit.startDate || dateUtils.fromTimestamp(habit.createdAt || new Date().toISOString());
+    }
+
+    /**
+     * Period containing a date as { start, end, target }, or null on a day that is not scheduled
+     * target is how many completed days the period needs
+     */
+    getPeriodAt(habit, date) {
+        // Abstinence is only known from the day tracking started
+        if (this.isQuitHabit(habit) && date < this.getCleanSince(habit)) {
+            return null;
+        }
+        if (!this.isInWindow(habit, date)) {
+            return null;
+        }
+
+        // A period cut off by the window's edges needs its share of the target
+        const period = this.getSchedulePeriod(habit, date);
+        if (!period) return null;
+
+        const start = habit.startDate && period.start < habit.startDate ? habit.startDate : period.start;
+        const end = habit.endDate && period.end > habit.endDate ? habit.endDate : period.end;
+        if (start === period.start && end === period.end) {
+            return period;
+        }
+        const length = dateUtils.daysBetween(period.start, period.end) + 1;
+        return { start, end, target: Math.ceil(period.target * (dateUtils.daysBetween(start, end) + 1) / length) };
+    }
+
+    /**
+     * Period of a habit's schedule containing a date, ignoring its window
+     */
+    getSchedulePeriod(habit, date) {
+        const schedule = this.getSchedule(habit);
+
+        if (schedule.type === 'weekdays') {
+            return schedule.days.includes(dateUtils.parse(date).getDay())
+                ? { start: date, end: date, target: 1 }
+                : null;
+        }
+        if (schedule.type === 'timesPerWeek') {
+            const start = dateUtils.startOfWeek(date);
+            return { start, end: dateUtils.addDays(start, 6), target: schedule.count };
+        }
+        if (schedule.type === 'everyNDays') {
+            const interval = schedule.interval;
+            const offset = ((dateUtils.daysBetween(this.getScheduleAnchor(habit), date) % interval) + interval) % interval;
+            const start = dateUtils.addDays(date, -offset);
+            return { start, end: dateUtils.addDays(start, interval - 1), target: 1 };
+        }
+        return { start: date, end: date, target: 1 };
+    }
+
+    /**
+     * Periods overlapping the days from..to, oldest first
+     * Each period records how many of its days were completed and whether it met its target
+     */
+    getPeriods(habit, from, to = dateUtils.today()) {
+        const completedDates = this.getSuccessDates(habit);
+        const excusedDates = this.getExcusedDates(habit);
+        const periods = [];
+        let date = from;
+
+        while (date <= to) {
+            const period = this.getPeriodAt(habit, date);
+            if (!period) {
+                date = dateUtils.addDays(date, 1);
+                continue;
+            }
+
+            let count = 0;
+            let length = 0;
+            let excusedDays = 0;
+            for (let day = period.start; day <= period.end; day = dateUtils.addDays(day, 1)) {
+                length++;
+                if (completedDates.has(day)) {
+                    count++;
+                } else if (excusedDates.has(day)) {
+                    excusedDays++;
+                }
+            }
+
+            // Excused days lower the target in proportion; a period with nothing left to do is excused
+            const target = Math.ceil(period.target * (length - excusedDays) / length);
+            const completed = count > 0 && count >= target;
+            periods.push({ ...period, target, count, completed, excused: target === 0 && !completed });
+            date = dateUtils.addDays(period.end, 1);
+        }
+        return periods;
+    }
+
+    /**
+     * Settled periods of the whole history with streak freezes applied, oldest first
+     * Built in one pass over the days since tracking started and cached until the data changes.
+     * The current period is still in progress, so it is only included once completed: today
+     * is pending, never missed. Returns { periods, freezes } where freezes is the number left.
+     */
+    getHistory(habit) {
+        return this.cached(habit.id, 'history', () => {
+            const today = dateUtils.today();
+            const end = habit.endDate && habit.endDate < today ? habit.endDate : today;
+            const periods = this.getPeriods(habit, this.getHistoryStart(habit), end);
+            const last = periods[periods.length - 1];
+            if (last && last.end >= today && !last.completed) {
+                periods.pop();
+            }
+            return { periods, freezes: this.applyStreakFreezes(habit, periods) };
+        });
+    }
+
+    /**
+     * First day of a habit's history: its start date, the clean-since day of a quit habit,
+     * or else the day it was created or its earliest completion, whichever is older
+     */
+    getHistoryStart(habit) {
+        if (this.isQuitHabit(habit)) {
+            const cleanSince = this.getCleanSince(habit);
+            return habit.startDate && habit.startDate > cleanSince ? habit.startDate : cleanSince;
+        }
+        if (habit.startDate) {
+            return habit.startDate;
+        }
+
+        return this.cached(habit.id, 'historyStart', () => {
+            let start = dateUtils.fromTimestamp(habit.createdAt || new Date().toISOString());
+            storage.getCompletionIndex(habit.id).forEach((entry, date) => {
+                if (date < start) start = date;
+            });
+            return start;
+        });
+    }
+
+    /**
+     * Periods of the last `days` days that count towards streaks and rates
+     */
+    getSettledPeriods(habit, days) {
+        const from = dateUtils.addDays(dateUtils.today(), -(days - 1));
+        return this.getHistory(habit).periods.filter(period => period.end >= from);
+    }
+
+    /**
+     * Spend streak freezes on missed periods, walking the history oldest first
+     * A freeze is earned for every FREEZE_EARN_EVERY periods completed in a row, up to MAX_FREEZES,
+     * and is spent on the first miss of a running streak. Frozen periods are excused.
+     * Quit habits never freeze: a relapse always counts. Returns the freezes left.
+     */
+    applyStreakFreezes(habit, periods) {
+        if (this.isQuitHabit(habit) || storage.getSettings().streakFreezes === false) {
+            return 0;
+        }
+
+        let freezes = 0;
+        let run = 0;
+        periods.forEach(period => {
+            if (period.excused) return;
+            if (period.completed) {
+                run++;
+                if (run % this.FREEZE_EARN_EVERY === 0) {
+                    freezes = Math.min(this.MAX_FREEZES, freezes + 1);
+                }
+            } else if (freezes > 0 && run > 0) {
+                freezes--;
+                period.excused = true;
+                period.frozen = true;
             } else {
-                break; // Streak broken
+                run = 0;
             }
+        });
+        return freezes;
+    }
+
+    /**
+     * Days a habit is excused on, mapped to the reason: 'rest' for the habit's own rest days,
+     * 'vacation' for days inside a vacation. Quit habits are never excused.
+     */
+    getExcusedDates(habit) {
+        return this.cached(habit.id, 'excused', () => {
+            const excused = new Map();
+            if (this.isQuitHabit(habit)) return excused;
+
+            storage.getVacations().forEach(vacation => {
+                for (let date = vacation.start; date <= vacation.end; date = dateUtils.addDays(date, 1)) {
+                    excused.set(date, 'vacation');
+                }
+            });
+            (habit.restDays || []).forEach(date => excused.set(date, 'rest'));
+            return excused;
+        });
+    }
+
+    /**
+     * Take a rest day for a habit, or take it back
+     */
+    toggleRestDay(habitId, date = dateUtils.today()) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return null;
+
+        const restDays = habit.restDays || [];
+        const resting = !restDays.includes(date);
+        this.updateHabit(habitId, {
+            restDays: resting ? [...restDays, date].sort() : restDays.filter(day => day !== date)
+        });
+        return resting;
+    }
+
+    isRestDay(habit, date = dateUtils.today()) {
+        return (habit.restDays || []).includes(date);
+    }
+
+    /**
+     * Check if the period containing a date (today by default) has met its target
+     */
+    isPeriodComplete(habitId, date = dateUtils.today()) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return false;
+        const periods = this.getPeriods(habit, date, date);
+        return periods.length > 0 && periods[0].completed;
+    }
+
+    /**
+     * How a date stands for a habit:
+     * 'done' - completed that day
+     * 'due'  - scheduled and not completed
+     * 'met'  - not needed, the period had already reached its target
+     * 'off'  - not a scheduled day
+     * 'excused' - a rest day or vacation day
+     */
+    getDayStatus(habit, date, completedDates = this.getSuccessDates(habit), excusedDates = this.getExcusedDates(habit)) {
+        if (completedDates.has(date)) return 'done';
+
+        const period = this.getPeriodAt(habit, date);
+        if (!period) return 'off';
+        if (excusedDates.has(date)) return 'excused';
+
+        let completedBefore = 0;
+        for (let day = period.start; day < date; day = dateUtils.addDays(day, 1)) {
+            if (completedDates.has(day)) completedBefore++;
+        }
+        return completedBefore >= period.target ? 'met' : 'due';
+    }
+
+    /**
+     * Status of each of the last N days, oldest first, for completion grids
+     */
+    getDayStatuses(habitId, days = 7) {
+        const today = dateUtils.today();
+        return this.getDayStatusesBetween(habitId, dateUtils.addDays(today, -(days - 1)), today);
+    }
+
+    /**
+     * Status of each day from..to, oldest first
+     * Relapse days of quit habits get their own 'relapse' status, and excused days
+     * carry the reason: 'rest', 'vacation' or 'freeze' (a missed day covered by a streak freeze).
+     * Days before tracking started are 'off' rather than missed.
+     */
+    getDayStatusesBetween(habitId, from, to) {
+        const habit = this.getHabit(habitId);
+        const completedDates = habit ? this.getSuccessDates(habit) : new Set();
+        const excusedDates = habit ? this.getExcusedDates(habit) : new Map();
+        const relapses = this.isQuitHabit(habit) ? storage.getCompletedDates(habitId) : new Set();
+        const frozen = new Set();
+        if (habit) {
+            this.getHistory(habit).periods.filter(period => period.frozen).forEach(period => {
+                for (let date = period.start; date <= period.end; date = dateUtils.addDays(date, 1)) {
+                    frozen.add(date);
+                }
+            });
+        }
+        const amounts = storage.getAmounts(habitId);
+        const entries = storage.getCompletionIndex(habitId);
+        const historyStart = habit ? this.getHistoryStart(habit) : from;
+        const days = [];
+        for (let date = from; date <= to; date = dateUtils.addDays(date, 1)) {
+            days.push(date);
+        }
+        return days.map(date => {
+            let status = relapses.has(date) ? 'relapse' : habit ? this.getDayStatus(habit, date, completedDates, excusedDates) : 'due';
+            if (status === 'due' && date < historyStart) {
+                status = 'off';
+            }
+            let excuse = status === 'excused' ? excusedDates.get(date) : null;
+            if (status === 'due' && frozen.has(date)) {
+                status = 'excused';
+                excuse = 'freeze';
+            }
+            const day = { date, completed: status === 'done', status, excuse, logged: entries.has(date) };
+            if (this.isMeasurable(habit)) {
+                day.amount = amounts.get(date) || 0;
+                day.progress = Math.min(1, day.amount / habit.target);
+            }
+            const entry = entries.get(date);
+            if (entry && (entry.note || entry.rating)) {
+                day.note = entry.note || '';
+                day.rating = entry.rating || null;
+            }
+            return day;
+        });
+    }
+
+    /**
+     * Describe a number of periods, e.g. "1 day", "3 weeks" or "5 times"
+     */
+    formatPeriods(count, unit) {
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Calculate current streak for a habit, in the periods of its schedule
+     * Days a schedule does not include and excused periods neither extend nor break a streak
+     */
+    calculateCurrentStreak(habitId) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return 0;
+
+        return this.countStreak(this.getHistory(habit).periods);
+    }
+
+    /**
+     * Streak as it stood at the end of a day, from the periods settled by then
+     */
+    calculateStreakOn(habitId, date) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return 0;
+
+        return this.countStreak(this.getHistory(habit).periods.filter(period => period.end <= date));
+    }
+
+    /**
+     * Completed periods in a row at the end of a list of periods; excused ones are skipped
+     */
+    countStreak(periods) {
+        // Walk back from the most recent settled period
+        let streak = 0;
+        for (let i = periods.length - 1; i >= 0; i--) {
+            if (periods[i].excused) continue;
+            if (!periods[i].completed) break;
+            streak++;
         }
-        
         return streak;
     }
 
     /**
-     * Calculate longest streak for a habit
+     * Calculate longest streak for a habit, in the periods of its schedule
      */
     calculateLongestStreak(habitId) {
-        const completions = storage.getHabitCompletions(habitId, 365);
+        const habit = this.getHabit(habitId);
+        if (!habit) return 0;
+
         let longestStreak = 0;
         let currentStreak = 0;
-        
-        for (const completion of completions) {
-            if (completion.completed) {
+        for (const period of this.getHistory(habit).periods) {
+            if (period.excused) continue;
+            if (period.completed) {
                 currentStreak++;
                 longestStreak = Math.max(longestStreak, currentStreak);
             } else {
                 currentStreak = 0;
             }
         }
-        
         return longestStreak;
     }
 
     /**
-     * Calculate completion rate for a habit
+     * Calculate completion rate for a habit over the last `days` days,
+     * as the share of its scheduled periods that met their target; excused periods are left out
      */
     calculateCompletionRate(habitId, days = 30) {
-        const completions = storage.getHabitCompletions(habitId, days);
-        const completedDays = completions.filter(c => c.completed).length;
-        return Math.round((completedDays / days) * 100);
+        const today = dateUtils.today();
+        return this.calculateCompletionRateBetween(habitId, dateUtils.addDays(today, -(days - 1)), today);
+    }
+
+    /**
+     * Completion rate of a habit over the periods overlapping the days from..to
+     */
+    calculateCompletionRateBetween(habitId, from, to = dateUtils.today()) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return 0;
+
+        const periods = this.getHistory(habit).periods
+            .filter(period => period.end >= from && period.start <= to && !period.excused);
+        if (periods.length === 0) return 0;
+
+        const completedPeriods = periods.filter(p => p.completed).length;
+        return Math.round((completedPeriods / periods.length) * 100);
+    }
+
+    /**
+     * Streaks of a habit that overlap the days from..to, oldest first
+     * Each is { start, end, length, current } where length counts periods and
+     * current marks the streak that is still running
+     */
+    getStreakRuns(habitId, from, to = dateUtils.today()) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return [];
+
+        const runs = [];
+        let run = null;
+        for (const period of this.getHistory(habit).periods) {
+            if (period.excused) continue;
+            if (period.completed) {
+                if (!run) {
+                    run = { start: period.start, end: period.end, length: 0, current: false };
+                    runs.push(run);
+                }
+                run.end = period.end;
+                run.length++;
+            } else {
+                run = null;
+            }
+        }
+        if (run) {
+            run.current = true;
+        }
+        return runs.filter(streak => streak.end >= from && streak.start <= to);
     }
 
     /**
@@ -146,11 +1021,29 @@ class HabitManager {
         
         return {
             habit,
+            periodUnit: this.getPeriodUnit(habit),
             currentStreak,
             longestStreak,
             completionRate30,
             completionRate7,
-            totalCompletions: storage.getHabitCompletions(habitId, 365).filter(c => c.completed).length
+            totalCompletions: this.getSuccessDates(habit).size,
+            amounts: this.isMeasurable(habit) ? this.getAmountStats(habitId, 30) : null,
+            relapses: this.isQuitHabit(habit) ? this.getRelapseStats(habitId) : null,
+            freezes: this.getHistory(habit).freezes,
+            challenge: this.getChallenge(habit)
+        };
+    }
+
+    /**
+     * Relapses of a quit habit in the last 30 days and the day of the latest one
+     */
+    getRelapseStats(habitId) {
+        const dates = Array.from(storage.getCompletedDates(habitId)).sort();
+        const from = dateUtils.addDays(dateUtils.today(), -29);
+        return {
+            last30: dates.filter(date => date >= from).length,
+            total: dates.length,
+            lastRelapse: dates.length > 0 ? dates[dates.length - 1] : null
         };
     }
 
@@ -158,112 +1051,443 @@ class HabitManager {
      * Get overall app statistics
      */
     getOverallStats() {
-        const today = new Date().toISOString().split('T')[0];
-        let totalHabits = this.habits.length;
+        return this.getGroupStats(this.getHabits());
+    }
+
+    /**
+     * Statistics of each tag of the active habits, sorted by tag
+     * Each is computed like the overall statistics, over the habits carrying the tag
+     */
+    getTagStats() {
+        return this.getAllTags().map(({ tag }) => ({
+            tag,
+            ...this.getGroupStats(this.getHabitsByTag(tag))
+        }));
+    }
+
+    /**
+     * Combined statistics of a group of habits
+     * Today's progress only counts habits that are due today; a habit whose period already
+     * met its target (e.g. 3× per week done by Wednesday) counts as done. Success is measured
+     * against the settled periods of each habit's whole history, the 30-day rate against those
+     * of the last 30 days. Streaks of different schedules are compared by the days they span.
+     */
+    getGroupStats(habits) {
+        const today = dateUtils.today();
+        let totalHabits = habits.length;
         let completedToday = 0;
+        let dueToday = 0;
         let bestStreak = 0;
+        let bestStreakUnit = 'day';
+        let bestStreakDays = 0;
+        let currentStreak = 0;
+        let currentStreakUnit = 'day';
+        let currentStreakDays = 0;
         let totalCompletions = 0;
-        let totalPossibleDays = 0;
+        let completedPeriods = 0;
+        let totalPossiblePeriods = 0;
+        let completedRecent = 0;
+        let totalRecent = 0;
 
-        this.habits.forEach(habit => {
-            // Count today's completions
-            if (storage.isHabitCompleted(habit.id, today)) {
+        habits.forEach(habit => {
+            const status = this.getDayStatus(habit, today);
+            if (status !== 'off' && status !== 'excused') {
+                dueToday++;
+            }
+            if (status === 'done' || status === 'met') {
                 completedToday++;
             }
 
-            // Get habit stats
+            // Get habit stats; streaks are compared by the days they span
             const stats = this.getHabitStats(habit.id);
             if (stats) {
-                bestStreak = Math.max(bestStreak, stats.longestStreak);
+                const periodDays = this.getPeriodDays(habit);
+                if (stats.longestStreak * periodDays > bestStreakDays) {
+                    bestStreak = stats.longestStreak;
+                    bestStreakUnit = stats.periodUnit;
+                    bestStreakDays = stats.longestStreak * periodDays;
+                }
+                if (stats.currentStreak * periodDays > currentStreakDays) {
+                    currentStreak = stats.currentStreak;
+                    currentStreakUnit = stats.periodUnit;
+                    currentStreakDays = stats.currentStreak * periodDays;
+                }
                 totalCompletions += stats.totalCompletions;
             }
 
-            // Calculate total possible days (since habit creation)
-            const createdDate = new Date(habit.createdAt);
-            const daysSinceCreation = Math.ceil((new Date() - createdDate) / (1000 * 60 * 60 * 24));
-            totalPossibleDays += Math.min(daysSinceCreation, 365); // Cap at 1 year
+            // Settled periods over the whole history, leaving out excused ones
+            const periods = this.getHistory(habit).periods.filter(period => !period.excused);
+            totalPossiblePeriods += periods.length;
+            completedPeriods += periods.filter(p => p.completed).length;
+
+            const recent = this.getSettledPeriods(habit, 30).filter(period => !period.excused);
+            totalRecent += recent.length;
+            completedRecent += recent.filter(p => p.completed).length;
         });
 
-        const todayProgress = totalHabits > 0 ? Math.round((completedToday / totalHabits) * 100) : 0;
-        const overallSuccess = totalPossibleDays > 0 ? Math.round((totalCompletions / totalPossibleDays) * 100) : 0;
+        const todayProgress = dueToday > 0
+            ? Math.round((completedToday / dueToday) * 100)
+            : (totalHabits > 0 ? 100 : 0);
+        const overallSuccess = totalPossiblePeriods > 0 ? Math.round((completedPeriods / totalPossiblePeriods) * 100) : 0;
+        const completionRate30 = totalRecent > 0 ? Math.round((completedRecent / totalRecent) * 100) : 0;
 
         return {
             totalHabits,
+            dueToday,
             todayProgress,
             bestStreak,
+            bestStreakUnit,
+            currentStreak,
+            currentStreakUnit,
             overallSuccess,
+            completionRate30,
             completedToday,
             totalCompletions
         };
     }
 
+    /**
+     * Approximate number of days one period of a habit's schedule spans
+     */
+    getPeriodDays(habit) {
+        const schedule = this.getSchedule(habit);
+        if (schedule.type === 'timesPerWeek') return 7;
+        if (schedule.type === 'everyNDays') return schedule.interval;
+        if (schedule.type === 'weekdays') return 7 / schedule.days.length;
+        return 1;
+    }
+
+    /**
+     * Completed and due habits on one day, for progress charts
+     * Habits count from the day their history starts
+     */
+    getDayProgress(date) {
+        const habits = this.getHabits();
+        let completed = 0;
+        let total = 0;
+
+        habits.forEach(habit => {
+            if (date < this.getHistoryStart(habit)) return;
+            const status = this.getDayStatus(habit, date);
+            if (status === 'done') {
+                completed++;
+                total++;
+            } else if (status === 'due') {
+                total++;
+            }
+        });
+
+        return {
+            completed,
+            total,
+            percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+        };
+    }
+
     /**
      * Get weekly progress data for charts
      */
     getWeeklyProgress() {
-        const weekData = [];
-        const today = new Date();
-        
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            
-            let completedHabits = 0;
-            this.habits.forEach(habit => {
-                if (storage.isHabitCompleted(habit.id, dateStr)) {
-                    completedHabits++;
+        return this.getProgressBetween(dateUtils.addDays(dateUtils.today(), -6)).map(day => ({
+            ...day,
+            dayName: dateUtils.parse(day.date).toLocaleDateString('en-US', { weekday: 'short' })
+        }));
+    }
+
+    /**
+     * Get monthly progress data for charts
+     */
+    getMonthlyProgress() {
+        return this.getProgressBetween(dateUtils.addDays(dateUtils.today(), -29)).map(day => ({
+            ...day,
+            day: dateUtils.parse(day.date).getDate()
+        }));
+    }
+
+    /**
+     * Progress of every day from..to, oldest first, for charts over any range
+     */
+    getProgressBetween(from, to = dateUtils.today()) {
+        const days = [];
+        for (let date = from; date <= to; date = dateUtils.addDays(date, 1)) {
+            days.push({ date, ...this.getDayProgress(date) });
+        }
+        return days;
+    }
+
+    /**
+     * Completed and missed days of a habit per weekday, Monday first, from the start of its history
+     * to yesterday. Each is { weekday, completed, missed, missRate } with weekday 0 = Sunday;
+     * missed counts scheduled days left undone, or the relapses of a quit habit.
+     */
+    getWeekdayStats(habitId) {
+        return this.combineWeekdayStats([habitId]);
+    }
+
+    /**
+     * Weekday statistics of all active habits together
+     */
+    getOverallWeekdayStats() {
+        return this.combineWeekdayStats(this.getHabits().map(habit => habit.id));
+    }
+
+    /**
+     * Add up the weekday counts of several habits and work out their miss rates
+     */
+    combineWeekdayStats(habitIds) {
+        const weekdays = [1, 2, 3, 4, 5, 6, 0].map(weekday => ({ weekday, completed: 0, missed: 0, missRate: 0 }));
+        habitIds.forEach(habitId => {
+            this.getWeekdayCounts(habitId).forEach((counts, index) => {
+                weekdays[index].completed += counts.completed;
+                weekdays[index].missed += counts.missed;
+            });
+        });
+        weekdays.forEach(stats => {
+            const total = stats.completed + stats.missed;
+            stats.missRate = total > 0 ? Math.round((stats.missed / total) * 100) : 0;
+        });
+        return weekdays;
+    }
+
+    /**
+     * Completed and missed days of one habit per weekday, Monday first
+     */
+    getWeekdayCounts(habitId) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return [];
+
+        return this.cached(habitId, 'weekdays', () => {
+            const counts = Array.from({ length: 7 }, () => ({ completed: 0, missed: 0 }));
+            const start = this.getHistoryStart(habit);
+            const yesterday = dateUtils.addDays(dateUtils.today(), -1);
+            if (start > yesterday) return counts;
+
+            this.getDayStatusesBetween(habitId, start, yesterday).forEach(day => {
+                const index = (dateUtils.parse(day.date).getDay() + 6) % 7;
+                if (day.status === 'done') {
+                    counts[index].completed++;
+                } else if (day.status === 'due' || day.status === 'relapse') {
+                    counts[index].missed++;
                 }
             });
-            
-            weekData.push({
-                date: dateStr,
-                dayName: date.toLocaleDateString('en-US', { weekday: 'short' }),
-                completed: completedHabits,
-                total: this.habits.length,
-                percentage: this.habits.length > 0 ? Math.round((completedHabits / this.habits.length) * 100) : 0
+            return counts;
+        });
+    }
+
+    /**
+     * When each completion of a habit was logged, as { date, minutes } with minutes after
+     * midnight, oldest first. Only entries logged on the day they count for are used:
+     * back-filled days and imports say nothing about when the habit is done.
+     */
+    getCompletionTimes(habitId) {
+        return this.cached(habitId, 'times', () => {
+            const times = [];
+            storage.getCompletionIndex(habitId).forEach((entry, date) => {
+                const loggedAt = entry.timestamp ? new Date(entry.timestamp) : null;
+                if (!loggedAt || isNaN(loggedAt) || dateUtils.toDateKey(loggedAt) !== date) return;
+                times.push({ date, minutes: loggedAt.getHours() * 60 + loggedAt.getMinutes() });
             });
+            return times.sort((a, b) => a.date.localeCompare(b.date));
+        });
+    }
+
+    /**
+     * Time of day a habit is usually completed; for a quit habit, when relapses happen
+     */
+    getTimeOfDayStats(habitId) {
+        return this.summarizeTimes(this.getCompletionTimes(habitId));
+    }
+
+    /**
+     * Time of day the active build habits are usually completed
+     */
+    getOverallTimeOfDayStats() {
+        const times = this.getHabits()
+            .filter(habit => !this.isQuitHabit(habit))
+            .flatMap(habit => this.getCompletionTimes(habit.id));
+        return this.summarizeTimes(times);
+    }
+
+    /**
+     * Summarize completion times as { count, typical, byHour, byMonth }
+     * typical is the median in minutes after midnight, byHour counts completions in each hour
+     * and byMonth holds the median of each of the last `months` months, oldest first, to show drift
+     */
+    summarizeTimes(times, months = 6) {
+        const byHour = new Array(24).fill(0);
+        times.forEach(time => byHour[Math.floor(time.minutes / 60)]++);
+
+        const today = dateUtils.parse(dateUtils.today());
+        const byMonth = [];
+        for (let offset = months - 1; offset >= 0; offset--) {
+            const month = dateUtils.toDateKey(new Date(today.getFullYear(), today.getMonth() - offset, 1)).slice(0, 7);
+            const minutes = times.filter(time => time.date.startsWith(month)).map(time => time.minutes);
+            byMonth.push({ month, count: minutes.length, typical: this.median(minutes) });
         }
-        
-        return weekData;
+
+        return {
+            count: times.length,
+            typical: this.median(times.map(time => time.minutes)),
+            byHour,
+            byMonth
+        };
     }
 
     /**
-     * Get monthly progress data for charts
+     * Middle value of a list of numbers, rounded; null for an empty list
      */
-    getMonthlyProgress() {
-        const monthData = [];
-        const today = new Date();
-        
-        for (let i = 29; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            
-            let completedHabits = 0;
-            this.habits.forEach(habit => {
-                if (storage.isHabitCompleted(habit.id, dateStr)) {
-                    completedHabits++;
+    median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    /**
+     * Reminder time suggested from when a habit was completed in the last 60 days
+     * It falls before three quarters of those completions, rounded down to a quarter hour,
+     * so the reminder comes while there is still time to act on it. Returns { time, basedOn }
+     * or null for quit habits and habits with too few timed completions.
+     */
+    suggestReminderTime(habitId) {
+        const habit = this.getHabit(habitId);
+        if (!habit || this.isQuitHabit(habit)) return null;
+
+        const from = dateUtils.addDays(dateUtils.today(), -59);
+        const minutes = this.getCompletionTimes(habitId)
+            .filter(time => time.date >= from)
+            .map(time => time.minutes)
+            .sort((a, b) => a - b);
+        if (minutes.length < this.MIN_TIMED_COMPLETIONS) return null;
+
+        const early = minutes[Math.floor((minutes.length - 1) / 4)];
+        return { time: this.formatMinutes(Math.floor(early / 15) * 15), basedOn: minutes.length };
+    }
+
+    /**
+     * Whether a habit succeeded on each day it was tracked, from the start of its history to
+     * yesterday. Days it was not scheduled, already met or excused are left out.
+     */
+    getDayOutcomes(habitId) {
+        const habit = this.getHabit(habitId);
+        if (!habit) return new Map();
+
+        return this.cached(habitId, 'outcomes', () => {
+            const outcomes = new Map();
+            const start = this.getHistoryStart(habit);
+            const yesterday = dateUtils.addDays(dateUtils.today(), -1);
+            if (start > yesterday) return outcomes;
+
+            this.getDayStatusesBetween(habitId, start, yesterday).forEach(day => {
+                if (day.status === 'done') {
+                    outcomes.set(day.date, true);
+                } else if (day.status === 'due' || day.status === 'relapse') {
+                    outcomes.set(day.date, false);
                 }
             });
-            
-            monthData.push({
-                date: dateStr,
-                day: date.getDate(),
-                completed: completedHabits,
-                total: this.habits.length,
-                percentage: this.habits.length > 0 ? Math.round((completedHabits / this.habits.length) * 100) : 0
-            });
+            return outcomes;
+        });
+    }
+
+    /**
+     * How often habit B succeeds on the days habit A does, over the days both were tracked
+     * Returns { habitId, days, together, rateWith, rateWithout, lift } seen from A, where rateWith
+     * is the share of A's successful days on which B succeeded too, rateWithout the same for A's
+     * other days, and lift how much more often both succeed than if they were unrelated.
+     * Returns null when the shared days are too few to tell.
+     */
+    getCooccurrence(habitIdA, habitIdB) {
+        const outcomesA = this.getDayOutcomes(habitIdA);
+        const outcomesB = this.getDayOutcomes(habitIdB);
+
+        let days = 0, doneA = 0, doneB = 0, together = 0;
+        outcomesA.forEach((successA, date) => {
+            if (!outcomesB.has(date)) return;
+            const successB = outcomesB.get(date);
+            days++;
+            if (successA) doneA++;
+            if (successB) doneB++;
+            if (successA && successB) together++;
+        });
+
+        const min = this.MIN_OUTCOME_DAYS;
+        if (days < this.MIN_SHARED_DAYS || doneA < min || days - doneA < min || doneB < min || days - doneB < min) {
+            return null;
         }
-        
-        return monthData;
+
+        return {
+            habitId: habitIdB,
+            days,
+            together,
+            rateWith: Math.round((together / doneA) * 100),
+            rateWithout: Math.round(((doneB - together) / (days - doneA)) * 100),
+            lift: Math.round(((together * days) / (doneA * doneB)) * 100) / 100
+        };
+    }
+
+    /**
+     * Active habits that move together with a habit, as { positive, negative }
+     * Positive ones succeed more often on the habit's successful days, strongest first;
+     * negative ones less often, strongest first
+     */
+    getCorrelations(habitId) {
+        const pairs = this.getHabits()
+            .filter(habit => habit.id !== habitId)
+            .map(habit => this.getCooccurrence(habitId, habit.id))
+            .filter(Boolean);
+        return this.splitCorrelations(pairs);
+    }
+
+    /**
+     * The strongest relationships between any two active habits, as { positive, negative }
+     * Each pair appears once, seen from the habit listed first, with its id as fromHabitId
+     */
+    getCorrelationInsights(limit = 5) {
+        const habits = this.getHabits();
+        const pairs = [];
+        habits.forEach((habit, index) => {
+            habits.slice(index + 1).forEach(other => {
+                const pair = this.getCooccurrence(habit.id, other.id);
+                if (pair) pairs.push({ fromHabitId: habit.id, ...pair });
+            });
+        });
+
+        const { positive, negative } = this.splitCorrelations(pairs);
+        return { positive: positive.slice(0, limit), negative: negative.slice(0, limit) };
+    }
+
+    /**
+     * Keep the pairs whose lift is clearly above or below 1, strongest first
+     */
+    splitCorrelations(pairs) {
+        return {
+            positive: pairs
+                .filter(pair => pair.lift >= 1 + this.LIFT_THRESHOLD)
+                .sort((a, b) => b.lift - a.lift),
+            negative: pairs
+                .filter(pair => pair.lift <= 1 - this.LIFT_THRESHOLD)
+                .sort((a, b) => a.lift - b.lift)
+        };
+    }
+
+    /**
+     * Minutes after midnight as "HH:MM"
+     */
+    formatMinutes(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
     }
 
     /**
      * Get habits that need attention (low completion rate or broken streaks)
+     * Judged on the last 30 days, or on the days from..to when a range is given
      */
-    getHabitsNeedingAttention() {
-        return this.habits.filter(habit => {
+    getHabitsNeedingAttention(from = null, to = dateUtils.today()) {
+        if (from) {
+            return this.getHabitsTrackedBetween(from, to).filter(habit =>
+                this.calculateCompletionRateBetween(habit.id, from, to) < 50 || this.calculateStreakOn(habit.id, to) === 0);
+        }
+
+        return this.getHabits().filter(habit => {
             const stats = this.getHabitStats(habit.id);
             if (!stats) return false;
             
@@ -274,18 +1498,32 @@ class HabitManager {
 
     /**
      * Get top performing habits
+     * Ranked by their 30-day completion rate, or by their rate over from..to when a range is given
      */
-    getTopPerformingHabits(limit = 5) {
-        const habitsWithStats = this.habits.map(habit => ({
-            habit,
-            stats: this.getHabitStats(habit.id)
-        })).filter(item => item.stats);
+    getTopPerformingHabits(limit = 5, from = null, to = dateUtils.today()) {
+        const habits = from ? this.getHabitsTrackedBetween(from, to) : this.getHabits();
+        const habitsWithStats = habits.map(habit => {
+            const stats = this.getHabitStats(habit.id);
+            return {
+                habit,
+                stats,
+                rate: from ? this.calculateCompletionRateBetween(habit.id, from, to) : stats.completionRate30
+            };
+        });
 
         return habitsWithStats
-            .sort((a, b) => b.stats.completionRate30 - a.stats.completionRate30)
+            .sort((a, b) => b.rate - a.rate)
             .slice(0, limit);
     }
 
+    /**
+     * Active habits tracked on any of the days from..to
+     */
+    getHabitsTrackedBetween(from, to) {
+        return this.getHabits().filter(habit =>
+            this.getHistoryStart(habit) <= to && !(habit.endDate && habit.endDate < from));
+    }
+
     /**
      * Validate habit data
      */
@@ -296,7 +1534,41 @@ class HabitManager {
             errors.push('Habit name is required');
         }
         
-        if (!habitData.frequency || !['daily', 'weekly'].includes(habitData.frequency)) {
+        if (habitData.kind && !['build', 'quit'].includes(habitData.kind)) {
+            errors.push('Habit type must be build or quit');
+        }
+
+        if (habitData.cleanSince && (!dateUtils.isValid(habitData.cleanSince) || habitData.cleanSince > dateUtils.today())) {
+            errors.push('Clean since must be a valid day that is not in the future');
+        }
+
+        if (habitData.target !== undefined && habitData.target !== null &&
+            !(typeof habitData.target === 'number' && habitData.target > 0 && isFinite(habitData.target))) {
+            errors.push('Target must be a positive number');
+        }
+
+        if (habitData.unit && habitData.unit.length > 20) {
+            errors.push('Unit is too long (max 20 characters)');
+        }
+
+        ['startDate', 'endDate'].forEach(field => {
+            if (habitData[field] && !dateUtils.isValid(habitData[field])) {
+                errors.push(`${field === 'startDate' ? 'Start' : 'End'} date must be a valid day`);
+            }
+        });
+
+        if (habitData.startDate && habitData.endDate && habitData.endDate < habitData.startDate) {
+            errors.push('End date must not be before the start date');
+        }
+
+        if (habitData.goal !== undefined && habitData.goal !== null &&
+            !(Number.isInteger(habitData.goal) && habitData.goal > 0 && habitData.goal <= 3650)) {
+            errors.push('Goal must be a whole number between 1 and 3650');
+        }
+
+        if (habitData.schedule) {
+            errors.push(...this.validateSchedule(habitData.schedule));
+        } else if (!habitData.frequency || !['daily', 'weekly'].includes(habitData.frequency)) {
             errors.push('Valid frequency is required (daily or weekly)');
         }
         
@@ -315,17 +1587,38 @@ class HabitManager {
     }
 
     /**
-     * Get habit completion history for a specific date range
+     * Validate a schedule; returns a list of errors
+     */
+    validateSchedule(schedule) {
+        const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        switch (schedule.type) {
+            case 'daily':
+                return [];
+            case 'weekdays':
+                return Array.isArray(schedule.days) && schedule.days.length > 0 && schedule.days.every(day => isIntegerIn(day, 0, 6))
+                    ? []
+                    : ['Choose at least one day of the week'];
+            case 'timesPerWeek':
+                return isIntegerIn(schedule.count, 1, 7) ? [] : ['Times per week must be between 1 and 7'];
+            case 'everyNDays':
+                return isIntegerIn(schedule.interval, 1, 365) ? [] : ['Interval must be between 1 and 365 days'];
+            default:
+                return ['Valid schedule is required'];
+        }
+    }
+
+    /**
+     * Get habit completion history between two "YYYY-MM-DD" days, inclusive
      */
     getHabitHistory(habitId, startDate, endDate) {
-        const completions = storage.getHabitCompletions(habitId, 365);
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        return completions.filter(completion => {
-            const completionDate = new Date(completion.date);
-            return completionDate >= start && completionDate <= end;
-        });
+        const completedDates = storage.getCompletedDates(habitId);
+        const amounts = storage.getAmounts(habitId);
+        const history = [];
+        for (let date = startDate; date <= endDate; date = dateUtils.addDays(date, 1)) {
+            history.push({ date, completed: completedDates.has(date), amount: amounts.get(date) || 0 });
+        }
+        return history;
     }
 
     /**
@@ -335,7 +1628,7 @@ class HabitManager {
         const habit = this.getHabit(habitId);
         if (!habit) return null;
         
-        const completions = storage.getHabitCompletions(habitId, 365);
+        const completions = this.getHabitHistory(habitId, this.getHistoryStart(habit), dateUtils.today());
         const stats = this.getHabitStats(habitId);
         
         return {
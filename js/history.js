@@ -0,0 +1,66 @@
+/**
+ * History Module - Undo/redo for habit and completion changes
+ * Each entry knows how to revert and re-apply one user action
+ */
+
+class HistoryManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record an action as { label, undo(), redo() }
+     * Recording a new action discards anything that could be redone
+     */
+    record(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Revert the most recent action; returns it, or null when there is nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        entry.undo();
+        this.redoStack.push(entry);
+        habitManager.loadHabits();
+        return entry;
+    }
+
+    /**
+     * Re-apply the most recently undone action
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        entry.redo();
+        this.undoStack.push(entry);
+        habitManager.loadHabits();
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Create global history manager instance
+const historyManager = new HistoryManager();
@@ -0,0 +1,246 @@
+/**
+ * Importer Module - Validates backup files and previews how they would be applied
+ * Supports replacing all data, merging completions, or importing selected habits
+ */
+
+class ImportManager {
+    constructor() {
+        // Ids end up in inline handlers, so only the characters storage.generateId() produces are accepted
+        this.ID_PATTERN = /^[a-z0-9]+$/i;
+        this.TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    }
+
+    /**
+     * Validate a parsed backup, dropping and reporting malformed entries
+     */
+    validate(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('File does not contain a Habit Tracker backup');
+        }
+        if (!Array.isArray(raw.habits)) {
+            throw new Error('Backup has no habit list');
+        }
+
+        const errors = [];
+        const { data } = schemaMigrator.migrate(this.dropMalformed(raw, errors));
+        const habits = [];
+        const seenIds = new Set();
+
+        data.habits.forEach((habit, index) => {
+            const label = habit.name ? `"${habit.name}"` : `#${index + 1}`;
+            if (seenIds.has(habit.id)) {
+                errors.push(`Habit ${label} duplicates id ${habit.id}`);
+                return;
+            }
+            const validation = habitManager.validateHabitData(habit);
+            if (!validation.isValid) {
+                errors.push(`Habit ${label}: ${validation.errors.join(', ')}`);
+                return;
+            }
+            seenIds.add(habit.id);
+            habits.push(habit);
+        });
+
+        const completions = {};
+        Object.entries(data.completions || {}).forEach(([habitId, entries]) => {
+            if (!seenIds.has(habitId)) {
+                errors.push(`${entries.length} completion(s) reference unknown habit ${habitId}`);
+                return;
+            }
+            const valid = entries.filter(entry => dateUtils.isValid(entry.date));
+            if (valid.length < entries.length) {
+                const habit = habits.find(h => h.id === habitId);
+                errors.push(`${entries.length - valid.length} completion(s) of "${habit.name}" have an invalid date`);
+            }
+            completions[habitId] = valid;
+        });
+
+        const settings = data.settings && typeof data.settings === 'object' ? data.settings : null;
+
+        return { habits, completions, settings, errors };
+    }
+
+    /**
+     * Copy of a raw backup without the habits and completions whose fields have the wrong
+     * type, so the migrations can read every item; each dropped entry is reported in errors
+     */
+    dropMalformed(raw, errors) {
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const habits = [];
+        raw.habits.forEach((habit, index) => {
+            if (!isObject(habit)) {
+                errors.push(`Habit #${index + 1} is not an object`);
+                return;
+            }
+            const problems = this.checkHabitFields(habit);
+            if (problems.length > 0) {
+                const label = typeof habit.name === 'string' && habit.name ? `"${habit.name}"` : `#${index + 1}`;
+                errors.push(`Habit ${label}: ${problems.join(', ')}`);
+                return;
+            }
+            habits.push(habit);
+        });
+
+        if (raw.completions === undefined || raw.completions === null) {
+            return { ...raw, habits };
+        }
+        if (!isObject(raw.completions)) {
+            errors.push('Completion log is not an object and was skipped');
+            return { ...raw, habits, completions: {} };
+        }
+
+        const completions = {};
+        Object.entries(raw.completions).forEach(([habitId, entries]) => {
+            if (!Array.isArray(entries)) {
+                errors.push(`Completions of habit ${habitId} are not a list and were skipped`);
+                return;
+            }
+            // Early builds stored bare "YYYY-MM-DD" strings
+            const valid = entries.filter(entry => (typeof entry === 'string' ? entry : isObject(entry) && entry.date));
+            if (valid.length < entries.length) {
+                errors.push(`${entries.length - valid.length} completion(s) of habit ${habitId} are malformed`);
+            }
+            completions[habitId] = valid;
+        });
+        return { ...raw, habits, completions };
+    }
+
+    /**
+     * Field type problems of a raw habit, in any schema version
+     */
+    checkHabitFields(habit) {
+        const problems = [];
+        const isMissing = (value) => value === undefined || value === null;
+        const isText = (value) => isMissing(value) || typeof value === 'string';
+
+        if (typeof habit.id !== 'string' || !this.ID_PATTERN.test(habit.id)) {
+            problems.push('id must be letters and digits only');
+        }
+        if (typeof habit.name !== 'string') {
+            problems.push('name must be text');
+        }
+        ['description', 'unit', 'kind', 'frequency', 'reminderMessage'].forEach(field => {
+            if (!isText(habit[field])) problems.push(`${field} must be text`);
+        });
+        // Early builds stored tags as a comma separated string
+        if (!isText(habit.tags) && !Array.isArray(habit.tags)) {
+            problems.push('tags must be a list');
+        }
+        if (!isMissing(habit.schedule) && (typeof habit.schedule !== 'object' || Array.isArray(habit.schedule))) {
+            problems.push('schedule must be an object');
+        }
+        if (!isMissing(habit.target) && typeof habit.target !== 'number') {
+            problems.push('target must be a number');
+        }
+        if (habit.reminderTime && !(typeof habit.reminderTime === 'string' && this.TIME_PATTERN.test(habit.reminderTime))) {
+            problems.push('reminder time must be HH:MM');
+        }
+        ['startDate', 'endDate', 'cleanSince'].forEach(field => {
+            if (habit[field] && !dateUtils.isValid(habit[field])) problems.push(`${field} must be a YYYY-MM-DD day`);
+        });
+        ['createdAt', 'updatedAt', 'archivedAt'].forEach(field => {
+            if (habit[field] && !(typeof habit[field] === 'string' && !isNaN(new Date(habit[field])))) {
+                problems.push(`${field} must be a timestamp`);
+            }
+        });
+        if (!isMissing(habit.restDays) && !(Array.isArray(habit.restDays) && habit.restDays.every(date => dateUtils.isValid(date)))) {
+            problems.push('restDays must be a list of days');
+        }
+        return problems;
+    }
+
+    /**
+     * Compare a validated backup with the current data
+     */
+    preview(validated) {
+        const existingHabits = storage.getHabits();
+        const existingCompletions = storage.getCompletions();
+
+        const habits = validated.habits.map(habit => {
+            const byId = existingHabits.find(h => h.id === habit.id);
+            const byName = byId ? null : existingHabits.find(h => this.normalizeName(h.name) === this.normalizeName(habit.name));
+            const existing = byId || byName || null;
+
+            const incoming = validated.completions[habit.id] || [];
+            const existingDates = new Set((existing ? existingCompletions[existing.id] || [] : []).map(c => c.date));
+            const newCompletions = incoming.filter(c => !existingDates.has(c.date)).length;
+
+            return {
+                habit,
+                status: existing ? 'conflict' : 'new',
+                conflict: byId ? 'id' : byName ? 'name' : null,
+                existing,
+                totalCompletions: incoming.length,
+                newCompletions
+            };
+        });
+
+        return {
+            data: validated,
+            habits,
+            errors: validated.errors,
+            newHabits: habits.filter(item => item.status === 'new').length,
+            conflicts: habits.filter(item => item.status === 'conflict').length,
+            completionsToAdd: habits.reduce((sum, item) => sum + item.newCompletions, 0),
+            totalCompletions: habits.reduce((sum, item) => sum + item.totalCompletions, 0)
+        };
+    }
+
+    /**
+     * Apply a preview
+     * mode 'replace' overwrites everything, 'merge' adds all habits and unions completions,
+     * 'selected' does the same as merge for the given habit ids only
+     */
+    apply(preview, mode, selectedIds = []) {
+        const { data } = preview;
+
+        if (mode === 'replace') {
+            const imported = {
+                habits: data.habits,
+                completions: data.completions,
+                schemaVersion: schemaMigrator.currentVersion
+            };
+            if (data.settings) {
+                imported.settings = data.settings;
+            }
+            if (!storage.importData(imported)) {
+                throw new Error('Failed to store imported data');
+            }
+            return { habitsAdded: data.habits.length, habitsMerged: 0, completionsAdded: preview.totalCompletions };
+        }
+
+        const selected = mode === 'selected' ? new Set(selectedIds) : null;
+        const importedReminders = (data.settings && data.settings.reminderTimes) || {};
+        const settings = storage.getSettings();
+        const result = { habitsAdded: 0, habitsMerged: 0, completionsAdded: 0 };
+
+        preview.habits.forEach(item => {
+            if (selected && !selected.has(item.habit.id)) return;
+
+            // Completions of a conflicting habit are merged into the existing one
+            let targetId = item.habit.id;
+            if (item.existing) {
+                targetId = item.existing.id;
+                result.habitsMerged++;
+            } else {
+                storage.putHabit(item.habit);
+                result.habitsAdded++;
+                if (importedReminders[item.habit.id]) {
+                    settings.reminderTimes[item.habit.id] = importedReminders[item.habit.id];
+                }
+            }
+
+            result.completionsAdded += storage.addCompletions(targetId, data.completions[item.habit.id] || []);
+        });
+
+        storage.saveSettings(settings);
+        return result;
+    }
+
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+}
+
+// Create global import manager instance
+const importManager = new ImportManager();
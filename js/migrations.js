@@ -0,0 +1,251 @@
+/**
+ * Migrations Module - Versioned schema for stored and exported data
+ * Upgrades habits, completions and settings written by older versions of the app
+ *
+ * Each migration receives { habits, completions, settings } at the previous version
+ * and returns it at its own version. Any of the three may be missing (e.g. a partial
+ * backup), so migrations only reshape what is present.
+ */
+
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize habit fields, completion entries and reminder settings',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => {
+                    let tags = habit.tags || [];
+                    if (typeof tags === 'string') {
+                        tags = tags.split(',');
+                    }
+                    const now = new Date().toISOString();
+                    return {
+                        ...habit,
+                        description: habit.description || '',
+                        frequency: habit.frequency || 'daily',
+                        reminderTime: habit.reminderTime || '',
+                        reminderMessage: habit.reminderMessage || 'Time to complete your habit!',
+                        tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+                        createdAt: habit.createdAt || now,
+                        updatedAt: habit.updatedAt || habit.createdAt || now
+                    };
+                });
+            }
+
+            if (data.completions && typeof data.completions === 'object') {
+                const completions = {};
+                Object.entries(data.completions).forEach(([habitId, entries]) => {
+                    const byDate = new Map();
+                    (Array.isArray(entries) ? entries : []).forEach(entry => {
+                        // Early builds stored bare "YYYY-MM-DD" strings
+                        const normalized = typeof entry === 'string'
+                            ? { date: entry, timestamp: null }
+                            : { ...entry, timestamp: entry.timestamp || null };
+                        if (normalized.date && !byDate.has(normalized.date)) {
+                            byDate.set(normalized.date, normalized);
+                        }
+                    });
+                    completions[habitId] = Array.from(byDate.values());
+                });
+                data.completions = completions;
+            }
+
+            if (data.settings && typeof data.settings === 'object') {
+                const reminderTimes = {};
+                Object.entries(data.settings.reminderTimes || {}).forEach(([habitId, reminder]) => {
+                    // Reminders used to be stored as a bare "HH:MM" string
+                    reminderTimes[habitId] = typeof reminder === 'string'
+                        ? { time: reminder, message: 'Time to complete your habit!' }
+                        : reminder;
+                });
+                data.settings = {
+                    ...data.settings,
+                    notificationsEnabled: Boolean(data.settings.notificationsEnabled),
+                    reminderTimes
+                };
+            }
+
+            return data;
+        }
+    },
+    {
+        version: 2,
+        description: 'Add archived state to habits',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    archived: Boolean(habit.archived),
+                    archivedAt: habit.archivedAt || null
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 3,
+        description: 'Re-key completions logged under the UTC day instead of the local day',
+        migrate(data) {
+            if (data.completions && typeof data.completions === 'object') {
+                Object.keys(data.completions).forEach(habitId => {
+                    const kept = [];
+                    const moved = [];
+                    data.completions[habitId].forEach(entry => {
+                        const recordedAt = entry.timestamp ? new Date(entry.timestamp) : null;
+                        if (!recordedAt || isNaN(recordedAt)) {
+                            kept.push(entry);
+                            return;
+                        }
+                        // Older builds keyed "today" by the UTC day; only entries showing that mistake move
+                        const utcDay = recordedAt.toISOString().slice(0, 10);
+                        const localDay = dateUtils.toDateKey(recordedAt);
+                        if (entry.date === utcDay && localDay !== utcDay) {
+                            moved.push({ ...entry, date: localDay });
+                        } else {
+                            kept.push(entry);
+                        }
+                    });
+
+                    // A day that already has a correctly keyed completion keeps it
+                    const dates = new Set(kept.map(entry => entry.date));
+                    moved.forEach(entry => {
+                        if (!dates.has(entry.date)) {
+                            dates.add(entry.date);
+                            kept.push(entry);
+                        }
+                    });
+                    data.completions[habitId] = kept;
+                });
+            }
+            return data;
+        }
+    },
+    {
+        version: 4,
+        description: 'Replace daily/weekly frequency with a schedule',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    schedule: habit.schedule || (habit.frequency === 'weekly'
+                        ? { type: 'timesPerWeek', count: 1 }
+                        : { type: 'daily' })
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add numeric target and unit to habits',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    target: habit.target > 0 ? habit.target : null,
+                    unit: habit.unit || ''
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add build/quit kind to habits',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    kind: habit.kind === 'quit' ? 'quit' : 'build',
+                    cleanSince: habit.cleanSince || null
+                }));
+            }
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Add rest days to habits and vacations to settings',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    restDays: Array.isArray(habit.restDays) ? habit.restDays : []
+                }));
+            }
+            if (data.settings && typeof data.settings === 'object') {
+                data.settings = {
+                    ...data.settings,
+                    vacations: Array.isArray(data.settings.vacations) ? data.settings.vacations : [],
+                    streakFreezes: data.settings.streakFreezes !== false
+                };
+            }
+            return data;
+        }
+    },
+    {
+        version: 8,
+        description: 'Add an optional start date, end date and goal to habits',
+        migrate(data) {
+            if (Array.isArray(data.habits)) {
+                data.habits = data.habits.map(habit => ({
+                    ...habit,
+                    startDate: habit.startDate || null,
+                    endDate: habit.endDate || null,
+                    goal: habit.goal > 0 ? habit.goal : null
+                }));
+            }
+            return data;
+        }
+    }
+];
+
+class SchemaMigrator {
+    constructor(migrations) {
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+        this.currentVersion = this.migrations.length > 0
+            ? this.migrations[this.migrations.length - 1].version
+            : 0;
+    }
+
+    /**
+     * Read the schema version of a data set; unversioned data is version 0
+     */
+    getVersion(data) {
+        return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    }
+
+    /**
+     * Run every migration newer than fromVersion, in order
+     */
+    migrate(data, fromVersion = this.getVersion(data)) {
+        if (fromVersion > this.currentVersion) {
+            throw new Error(`Data schema version ${fromVersion} is newer than the supported version ${this.currentVersion}`);
+        }
+
+        // Work on a copy so a failing migration leaves the input untouched
+        let result = JSON.parse(JSON.stringify({
+            habits: data.habits,
+            completions: data.completions,
+            settings: data.settings
+        }));
+        const applied = [];
+
+        this.migrations
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                result = migration.migrate(result);
+                applied.push(migration.version);
+            });
+
+        return {
+            data: result,
+            fromVersion,
+            toVersion: this.currentVersion,
+            applied
+        };
+    }
+}
+
+// Create global schema migrator instance
+const schemaMigrator = new SchemaMigrator(SCHEMA_MIGRATIONS);
@@ -7,6 +7,7 @@ class NotificationManager {
     constructor() {
         this.permission = 'default';
         this.reminderIntervals = {};
+        this.toastTimeout = null;
         this.checkPermission();
         this.loadSettings();
     }
@@ -96,24 +97,12 @@ class NotificationManager {
         const habit = habitManager.getHabit(habitId);
         if (!habit) return false;
 
-        // Clear existing reminder for this habit
-        this.clearReminder(habitId);
+        // Clear existing reminder timer for this habit
+        this.cancelReminderTimer(habitId);
 
-        // Parse time (format: "HH:MM")
-        const [hours, minutes] = time.split(':').map(Number);
-        
-        // Calculate next reminder time
-        const now = new Date();
-        const reminderTime = new Date();
-        reminderTime.setHours(hours, minutes, 0, 0);
-
-        // If time has passed today, schedule for tomorrow
-        if (reminderTime <= now) {
-            reminderTime.setDate(reminderTime.getDate() + 1);
-        }
-
-        // Calculate delay until reminder
-        const delay = reminderTime.getTime() - now.getTime();
+        // Next local occurrence of the "HH:MM" time, tomorrow if it has passed today
+        const reminderTime = dateUtils.nextTimeOfDay(time);
+        const delay = reminderTime.getTime() - Date.now();
 
         // Schedule the reminder
         const timeoutId = setTimeout(() => {
@@ -125,10 +114,13 @@ class NotificationManager {
         // Store the timeout ID
         this.reminderIntervals[habitId] = timeoutId;
 
-        // Update settings
+        // Update settings, skipping the write when nothing changed
         const settings = storage.getSettings();
-        settings.reminderTimes[habitId] = { time, message };
-        storage.saveSettings(settings);
+        const saved = settings.reminderTimes[habitId];
+        if (!saved || saved.time !== time || saved.message !== message) {
+            settings.reminderTimes[habitId] = { time, message };
+            storage.saveSettings(settings);
+        }
 
         return true;
     }
@@ -137,15 +129,24 @@ class NotificationManager {
      * Clear reminder for a specific habit
      */
     clearReminder(habitId) {
+        this.cancelReminderTimer(habitId);
+
+        // Remove from settings
+        const settings = storage.getSettings();
+        if (settings.reminderTimes[habitId]) {
+            delete settings.reminderTimes[habitId];
+            storage.saveSettings(settings);
+        }
+    }
+
+    /**
+     * Stop a scheduled reminder without forgetting its saved time
+     */
+    cancelReminderTimer(habitId) {
         if (this.reminderIntervals[habitId]) {
             clearTimeout(this.reminderIntervals[habitId]);
             delete this.reminderIntervals[habitId];
         }
-
-        // Remove from settings
-        const settings = storage.getSettings();
-        delete settings.reminderTimes[habitId];
-        storage.saveSettings(settings);
     }
 
     /**
@@ -153,7 +154,15 @@ class NotificationManager {
      */
     sendHabitReminder(habitId, message) {
         const habit = habitManager.getHabit(habitId);
-        if (!habit) return;
+        if (!habit || habit.archived) return;
+        // A time-boxed habit stays quiet before its start date and after its end date
+        if (!habitManager.isInWindow(habit, dateUtils.today())) return;
+        if (habitManager.isQuitHabit(habit)) {
+            this.sendEncouragement(habit, message);
+            return;
+        }
+        // Stay quiet on days the schedule skips or once today's part is done
+        if (habitManager.getDayStatus(habit, dateUtils.today()) !== 'due') return;
 
         const title = `Habit Reminder: ${habit.name}`;
         const options = {
@@ -197,6 +206,27 @@ class NotificationManager {
         }
     }
 
+    /**
+     * Reminder for a quit habit: there is nothing to complete, so it cheers the user on
+     * The generic "complete your habit" message is replaced with the current run
+     */
+    sendEncouragement(habit, message) {
+        const daysClean = habitManager.calculateCurrentStreak(habit.id);
+        const body = message && message !== 'Time to complete your habit!'
+            ? message
+            : daysClean > 0
+                ? `${habitManager.formatPeriods(daysClean, 'day')} clean. Keep it going, you've got this! 💪`
+                : 'Every day is a fresh start. You\'ve got this! 💪';
+
+        this.sendNotification(`Stay strong: ${habit.name}`, {
+            body,
+            icon: '/favicon.ico',
+            badge: '/favicon.ico',
+            requireInteraction: false,
+            tag: `encouragement-${habit.id}`
+        });
+    }
+
     /**
      * Load and schedule all saved reminders
      */
@@ -221,6 +251,15 @@ class NotificationManager {
         });
     }
 
+    /**
+     * Stop all scheduled reminders, keeping their saved times
+     */
+    cancelAllReminderTimers() {
+        Object.keys(this.reminderIntervals).forEach(habitId => {
+            this.cancelReminderTimer(habitId);
+        });
+    }
+
     /**
      * Send achievement notification
      */
@@ -246,7 +285,7 @@ class NotificationManager {
         if (!habit) return;
 
         const title = 'Streak Milestone! 🔥';
-        const body = `Amazing! You've maintained ${habit.name} for ${streakCount} days!`;
+        const body = `Amazing! You've maintained ${habit.name} for ${habitManager.formatPeriods(streakCount, habitManager.getPeriodUnit(habit))}!`;
 
         this.sendNotification(title, {
             body: body,
@@ -263,7 +302,7 @@ class NotificationManager {
     sendDailySummary() {
         const stats = habitManager.getOverallStats();
         const title = 'Daily Habit Summary 📊';
-        const body = `You completed ${stats.completedToday}/${stats.totalHabits} habits today (${stats.todayProgress}%)`;
+        const body = `You completed ${stats.completedToday}/${stats.dueToday} habits due today (${stats.todayProgress}%)`;
 
         this.sendNotification(title, {
             body: body,
@@ -276,8 +315,9 @@ class NotificationManager {
 
     /**
      * Show toast notification
+     * An optional action ({ label, onClick }) adds a button such as "Undo"
      */
-    showToast(message, type = 'info') {
+    showToast(message, type = 'info', action = null) {
         const toast = document.getElementById('notificationToast');
         const toastMessage = document.getElementById('toastMessage');
         
@@ -291,14 +331,31 @@ class NotificationManager {
         if (alertElement) {
             alertElement.className = `alert alert-${type === 'success' ? 'success' : type === 'error' ? 'error' : type === 'warning' ? 'warning' : 'info'}`;
         }
+
+        // Update action button
+        const actionButton = document.getElementById('toastAction');
+        if (actionButton) {
+            if (action) {
+                actionButton.textContent = action.label;
+                actionButton.onclick = () => {
+                    toast.classList.add('hidden');
+                    action.onClick();
+                };
+                actionButton.classList.remove('hidden');
+            } else {
+                actionButton.onclick = null;
+                actionButton.classList.add('hidden');
+            }
+        }
         
         // Show toast
         toast.classList.remove('hidden');
         
-        // Hide after 3 seconds
-        setTimeout(() => {
+        // Hide after 3 seconds, or 6 when there is an action to take
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => {
             toast.classList.add('hidden');
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     /**
@@ -365,15 +422,8 @@ class NotificationManager {
      * Schedule daily summary notification
      */
     scheduleDailySummary() {
-        const now = new Date();
-        const summaryTime = new Date();
-        summaryTime.setHours(21, 0, 0, 0); // 9 PM
-
-        if (summaryTime <= now) {
-            summaryTime.setDate(summaryTime.getDate() + 1);
-        }
-
-        const delay = summaryTime.getTime() - now.getTime();
+        const summaryTime = dateUtils.nextTimeOfDay('21:00'); // 9 PM
+        const delay = summaryTime.getTime() - Date.now();
         
         setTimeout(() => {
             this.sendDailySummary();
@@ -0,0 +1,276 @@
+/**
+ * Reports Module - Weekly and monthly progress reports
+ * Builds the report of one week or month and renders it as printable HTML or as Markdown
+ */
+
+class ReportManager {
+    constructor() {
+        this.BEST_HABITS = 3;
+    }
+
+    /**
+     * First and last day of a week (Monday to Sunday) or calendar month,
+     * `offset` periods before the one containing today
+     */
+    getRange(type, offset = 0) {
+        const today = dateUtils.today();
+        if (type === 'month') {
+            const date = dateUtils.parse(today);
+            return {
+                from: dateUtils.toDateKey(new Date(date.getFullYear(), date.getMonth() - offset, 1)),
+                end: dateUtils.toDateKey(new Date(date.getFullYear(), date.getMonth() - offset + 1, 0))
+            };
+        }
+
+        const from = dateUtils.addDays(dateUtils.startOfWeek(today), -7 * offset);
+        return { from, end: dateUtils.addDays(from, 6) };
+    }
+
+    /**
+     * Report of a week or month: each habit's completion rate and streak against the period before,
+     * the best habits, the habits needing attention and the notes written in the period.
+     * A period still in progress is reported up to today.
+     */
+    buildReport(type = 'week', offset = 1) {
+        const today = dateUtils.today();
+        const { from, end } = this.getRange(type, offset);
+        const to = end < today ? end : today;
+        const previous = this.getRange(type, offset + 1);
+
+        const habits = habitManager.getHabitsTrackedBetween(from, to).map(habit => {
+            const trackedBefore = habitManager.getHistoryStart(habit) <= previous.end;
+            const rate = habitManager.calculateCompletionRateBetween(habit.id, from, to);
+            const previousRate = trackedBefore ? habitManager.calculateCompletionRateBetween(habit.id, previous.from, previous.end) : null;
+            const streak = habitManager.calculateStreakOn(habit.id, to);
+            const previousStreak = trackedBefore ? habitManager.calculateStreakOn(habit.id, previous.end) : null;
+            let successes = 0;
+            habitManager.getSuccessDates(habit).forEach(date => {
+                if (date >= from && date <= to) successes++;
+            });
+
+            return {
+                habitId: habit.id,
+                name: habit.name,
+                quit: habitManager.isQuitHabit(habit),
+                periodUnit: habitManager.getPeriodUnit(habit),
+                rate,
+                previousRate,
+                successes,
+                streak,
+                previousStreak
+            };
+        });
+
+        const average = (values) => (values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : null);
+        const compared = habits.filter(item => item.previousRate !== null);
+
+        return {
+            type,
+            from,
+            to,
+            partial: end > today,
+            previous,
+            generatedAt: new Date().toISOString(),
+            rate: average(habits.map(item => item.rate)),
+            previousRate: average(compared.map(item => item.previousRate)),
+            habits,
+            best: habitManager.getTopPerformingHabits(this.BEST_HABITS, from, to)
+                .filter(item => item.rate > 0)
+                .map(item => ({ name: item.habit.name, rate: item.rate })),
+            attention: habitManager.getHabitsNeedingAttention(from, to)
+                .map(habit => habits.find(item => item.habitId === habit.id)),
+            notes: habitManager.searchNotes('')
+                .filter(item => item.date >= from && item.date <= to && habitManager.getHabit(item.habitId))
+                .map(item => ({ ...item, name: habitManager.getHabit(item.habitId).name }))
+                .reverse()
+        };
+    }
+
+    /**
+     * Heading of a report, e.g. "Weekly report: Oct 12 - Oct 18, 2026"
+     */
+    getTitle(report) {
+        const format = (date, options) => dateUtils.parse(date).toLocaleDateString(undefined, options);
+        if (report.type === 'month') {
+            return `Monthly report: ${format(report.from, { month: 'long', year: 'numeric' })}`;
+        }
+        return `Weekly report: ${format(report.from, { month: 'short', day: 'numeric' })} - ${format(dateUtils.addDays(report.from, 6), { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+
+    /**
+     * Change against the previous period, e.g. "+5" or "-2"; empty when there is nothing to compare
+     */
+    formatChange(current, previous) {
+        if (previous === null || previous === undefined) return '';
+        const change = current - previous;
+        return change > 0 ? `+${change}` : String(change);
+    }
+
+    /**
+     * One-line summary of the overall completion rate
+     */
+    getSummary(report) {
+        if (report.habits.length === 0) {
+            return 'No habits were tracked in this period.';
+        }
+        const period = report.type === 'month' ? 'month' : 'week';
+        const change = this.formatChange(report.rate, report.previousRate);
+        return `Overall success ${report.rate}%${change ? ` (${change} points on the previous ${period})` : ''}${report.partial ? `, ${period} in progress` : ''}.`;
+    }
+
+    /**
+     * Rows of the habit table as plain text cells
+     */
+    getHabitRows(report) {
+        return report.habits.map(item => [
+            item.name,
+            `${item.rate}%`,
+            item.previousRate === null ? 'new' : `${this.formatChange(item.rate, item.previousRate)} pts`,
+            `${item.successes} ${item.quit ? 'clean' : 'done'}`,
+            habitManager.formatPeriods(item.streak, item.periodUnit),
+            item.previousStreak === null ? 'new' : this.formatChange(item.streak, item.previousStreak)
+        ]);
+    }
+
+    /**
+     * Report as Markdown
+     */
+    toMarkdown(report) {
+        const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\n/g, ' ');
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        const lines = [`# ${this.getTitle(report)}`, '', this.getSummary(report), ''];
+
+        if (report.habits.length > 0) {
+            lines.push('## Habits', '');
+            lines.push('| Habit | Success | Change | Days | Streak | Streak change |');
+            lines.push('| --- | --- | --- | --- | --- | --- |');
+            this.getHabitRows(report).forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+            lines.push('');
+        }
+
+        if (report.best.length > 0) {
+            lines.push('## Best habits', '');
+            report.best.forEach((item, index) => lines.push(`${index + 1}. ${cell(item.name)} - ${item.rate}%`));
+            lines.push('');
+        }
+
+        if (report.attention.length > 0) {
+            lines.push('## Needs attention', '');
+            report.attention.forEach(item => lines.push(`- ${cell(item.name)} - ${item.rate}%${item.streak === 0 ? ', no current streak' : ''}`));
+            lines.push('');
+        }
+
+        if (report.notes.length > 0) {
+            lines.push('## Notes', '');
+            report.notes.forEach(item => {
+                const rating = item.rating ? ` (${item.rating}/5)` : '';
+                lines.push(`- **${formatDay(item.date)} - ${cell(item.name)}**${rating}: ${cell(item.note)}`);
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Report as a self-contained HTML document that prints on plain paper
+     */
+    toHtml(report) {
+        const escape = (value) => uiManager.escapeHtml(value);
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+        const title = escape(this.getTitle(report));
+
+        const sections = [];
+        if (report.habits.length > 0) {
+            sections.push(`
+    <h2>Habits</h2>
+    <table>
+        <thead><tr><th>Habit</th><th>Success</th><th>Change</th><th>Days</th><th>Streak</th><th>Streak change</th></tr></thead>
+        <tbody>
+${this.getHabitRows(report).map(row => `            <tr>${row.map(text => `<td>${escape(text)}</td>`).join('')}</tr>`).join('\n')}
+        </tbody>
+    </table>`);
+        }
+        if (report.best.length > 0) {
+            sections.push(`
+    <h2>Best habits</h2>
+    <ol>
+${report.best.map(item => `        <li>${escape(item.name)} - ${item.rate}%</li>`).join('\n')}
+    </ol>`);
+        }
+        if (report.attention.length > 0) {
+            sections.push(`
+    <h2>Needs attention</h2>
+    <ul>
+${report.attention.map(item => `        <li>${escape(item.name)} - ${item.rate}%${item.streak === 0 ? ', no current streak' : ''}</li>`).join('\n')}
+    </ul>`);
+        }
+        if (report.notes.length > 0) {
+            sections.push(`
+    <h2>Notes</h2>
+    <ul class="notes">
+${report.notes.map(item => `        <li><strong>${escape(formatDay(item.date))} - ${escape(item.name)}</strong>${item.rating ? ` (${item.rating}/5)` : ''}: ${escape(item.note)}</li>`).join('\n')}
+    </ul>`);
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.1rem; margin-top: 1.75rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+        th { background: #f3f4f6; }
+        .summary { font-size: 1.05rem; }
+        .meta { color: #6b7280; font-size: 0.8rem; }
+        .notes li { margin-bottom: 0.35rem; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            h2 { break-after: avoid; }
+            tr, li { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p class="summary">${escape(this.getSummary(report))}</p>${sections.join('\n')}
+    <p class="meta">Generated ${escape(new Date(report.generatedAt).toLocaleString())} by Habit Tracker</p>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * File name for an exported report, e.g. habit-tracker-week-2026-10-12.md
+     */
+    getFilename(report, extension) {
+        return `habit-tracker-${report.type}-${report.from}.${extension}`;
+    }
+
+    /**
+     * Whether last week's report should open by itself: the setting is on and
+     * it has not been shown yet this week
+     */
+    isWeeklyReportDue() {
+        const settings = storage.getSettings();
+        return Boolean(settings.weeklyReport)
+            && settings.lastWeeklyReport !== this.getRange('week', 0).from
+            && habitManager.getHabits().length > 0;
+    }
+
+    /**
+     * Remember that this week's automatic report was shown
+     */
+    markWeeklyReportShown() {
+        storage.updateSettings({ lastWeeklyReport: this.getRange('week', 0).from });
+    }
+}
+
+// Create global report manager instance
+const reportManager = new ReportManager();
@@ -0,0 +1,136 @@
+/**
+ * Snapshots Module - Rolling point-in-time copies of all data
+ * Keeps hourly snapshots for a day and daily snapshots for a month, plus the
+ * snapshots taken before imports, clearing data and restores
+ */
+
+class SnapshotManager {
+    constructor() {
+        this.HOUR = 60 * 60 * 1000;
+        this.DAY = 24 * this.HOUR;
+        this.HOURLY_RETENTION = this.DAY;
+        this.DAILY_RETENTION = 30 * this.DAY;
+        this.MAX_EVENT_SNAPSHOTS = 10;
+        this.CHECK_INTERVAL = 5 * 60 * 1000;
+        this.timer = null;
+
+        this.REASON_LABELS = {
+            auto: 'Automatic',
+            manual: 'Manual',
+            'before-import': 'Before import',
+            'before-clear': 'Before clearing data',
+            'before-restore': 'Before restore'
+        };
+    }
+
+    /**
+     * Take a snapshot now if one is due, then keep checking while the app is open
+     */
+    start() {
+        this.takeScheduledSnapshot();
+        this.timer = setInterval(() => this.takeScheduledSnapshot(), this.CHECK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Take an automatic snapshot when the latest one is an hour old
+     * Unchanged data is only snapshotted again once a day, so an idle app keeps a recent copy
+     */
+    async takeScheduledSnapshot() {
+        try {
+            const latest = (await storage.getSnapshots()).find(s => s.reason === 'auto');
+            if (latest) {
+                const age = Date.now() - new Date(latest.createdAt).getTime();
+                if (age < this.HOUR) return null;
+                if (age < this.DAY && JSON.stringify(latest.data) === JSON.stringify(this.captureData())) return null;
+            }
+            return await this.takeSnapshot('auto');
+        } catch (error) {
+            console.error('Error taking automatic snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a snapshot of the current data and prune old ones
+     */
+    async takeSnapshot(reason = 'manual') {
+        const data = this.captureData();
+        const snapshot = {
+            id: storage.generateId(),
+            createdAt: new Date().toISOString(),
+            reason,
+            habitCount: data.habits.length,
+            completionCount: Object.values(data.completions).reduce((sum, entries) => sum + entries.length, 0),
+            data
+        };
+
+        await storage.saveSnapshot(snapshot);
+        await this.prune();
+        return snapshot;
+    }
+
+    captureData() {
+        const { exportDate, ...data } = storage.exportData();
+        return data;
+    }
+
+    /**
+     * Drop snapshots that fall outside the retention policy
+     * Automatic snapshots keep the newest per hour for a day, then the newest per day for a month.
+     * Other snapshots keep the newest MAX_EVENT_SNAPSHOTS within a month.
+     */
+    async prune(now = Date.now()) {
+        const snapshots = await storage.getSnapshots();
+        const buckets = new Set();
+        let eventCount = 0;
+
+        const expired = snapshots.filter(snapshot => {
+            const createdAt = new Date(snapshot.createdAt);
+            const age = now - createdAt.getTime();
+            if (age >= this.DAILY_RETENTION) return true;
+
+            if (snapshot.reason !== 'auto') {
+                eventCount++;
+                return eventCount > this.MAX_EVENT_SNAPSHOTS;
+            }
+
+            const bucket = age < this.HOURLY_RETENTION
+                ? `hour-${Math.floor(createdAt.getTime() / this.HOUR)}`
+                : `day-${createdAt.toDateString()}`;
+            if (buckets.has(bucket)) return true;
+            buckets.add(bucket);
+            return false;
+        });
+
+        await storage.deleteSnapshots(expired.map(snapshot => snapshot.id));
+    }
+
+    /**
+     * Replace current data with a snapshot
+     * The current data is snapshotted first so the restore can itself be reverted
+     */
+    async restore(snapshotId) {
+        const snapshot = (await storage.getSnapshots()).find(s => s.id === snapshotId);
+        if (!snapshot) {
+            throw new Error('Snapshot not found');
+        }
+
+        await this.takeSnapshot('before-restore');
+        if (!storage.importData(snapshot.data) || !await storage.flush()) {
+            throw new Error('Failed to restore snapshot');
+        }
+        return snapshot;
+    }
+
+    getReasonLabel(reason) {
+        return this.REASON_LABELS[reason] || reason;
+    }
+}
+
+// Create global snapshot manager instance
+const snapshotManager = new SnapshotManager();
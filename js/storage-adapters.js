@@ -0,0 +1,526 @@
+/**
+ * Storage Adapters - Persistence backends used by StorageManager
+ * IndexedDB is the preferred backend, localStorage is kept as a fallback
+ *
+ * Both adapters expose the same promise based interface:
+ * open(), load(), write(change, state), replaceAll(state) and clear().
+ * A change describes a single mutation, e.g. { store: 'completions', type: 'put', habitId, entry },
+ * and state is the in-memory copy held by StorageManager after the change was applied.
+ *
+ * Snapshots live beside the data stores and are only touched through getSnapshots(),
+ * putSnapshot(snapshot) and deleteSnapshots(ids), so clearing or replacing data keeps them.
+ * estimateUsage() reports { usage, quota } in bytes, or null when the browser cannot tell.
+ */
+
+class DataChanges {
+    /**
+     * Apply a granular change to a data set shaped like { habits, completions }
+     * Used for the in-memory copy, for changes received from other tabs and for
+     * localStorage writes, so every copy resolves a change the same way
+     */
+    static apply(data, change) {
+        if (change.store === 'habits') {
+            const habits = data.habits || (data.habits = []);
+            const index = habits.findIndex(h => h.id === (change.habitId || (change.habit && change.habit.id)));
+            if (change.type === 'put') {
+                if (index !== -1) {
+                    habits[index] = { ...change.habit };
+                } else {
+                    habits.push({ ...change.habit });
+                }
+            } else if (change.type === 'patch' && index !== -1) {
+                habits[index] = DataChanges.mergeHabit(habits[index], change);
+            } else if (change.type === 'delete' && index !== -1) {
+                habits.splice(index, 1);
+            }
+        } else if (change.store === 'completions') {
+            const completions = data.completions || (data.completions = {});
+            if (change.type === 'put' || change.type === 'putMany') {
+                const entries = change.type === 'put' ? [change.entry] : change.entries;
+                const list = completions[change.habitId] || (completions[change.habitId] = []);
+                entries.forEach(entry => {
+                    // The first recorded completion of a day is kept
+                    if (!list.some(c => c.date === entry.date)) {
+                        list.push({ ...entry });
+                    }
+                });
+            } else if (change.type === 'set') {
+                // Logging an amount replaces the day's entry
+                const list = completions[change.habitId] || (completions[change.habitId] = []);
+                const index = list.findIndex(c => c.date === change.entry.date);
+                if (index !== -1) {
+                    list[index] = { ...change.entry };
+                } else {
+                    list.push({ ...change.entry });
+                }
+            } else if (change.type === 'delete' && completions[change.habitId]) {
+                completions[change.habitId] = completions[change.habitId].filter(c => c.date !== change.date);
+            } else if (change.type === 'deleteHabit') {
+                delete completions[change.habitId];
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Merge a habit patch field by field
+     * Every field remembers the stamp ("<ISO time>#<client id>#<counter>") of its last write, and a
+     * patch only overwrites fields whose stamp is older. The outcome is the same whatever
+     * order tabs write in, and fields a stale tab did not touch are never clobbered.
+     */
+    static mergeHabit(stored, change) {
+        const merged = { ...stored };
+        const fieldStamps = { ...(stored.fieldStamps || {}) };
+
+        Object.entries(change.updates).forEach(([field, value]) => {
+            if (field === 'id') return;
+            if (change.stamp > (fieldStamps[field] || '')) {
+                merged[field] = value;
+                fieldStamps[field] = change.stamp;
+            }
+        });
+
+        merged.fieldStamps = fieldStamps;
+        if (!stored.updatedAt || change.updatedAt > stored.updatedAt) {
+            merged.updatedAt = change.updatedAt;
+        }
+        return merged;
+    }
+}
+
+class LocalStorageAdapter {
+    constructor(keys, snapshotsKey) {
+        this.name = 'localStorage';
+        this.keys = keys;
+        this.snapshotsKey = snapshotsKey;
+
+        // Browsers do not report the localStorage quota; most allow about 5 million
+        // UTF-16 characters per origin, i.e. 10 MB
+        this.quota = 5 * 1024 * 1024 * 2;
+
+        // Snapshots are full copies of the data sharing that quota, so only a few are kept
+        this.MAX_SNAPSHOTS = 5;
+    }
+
+    /**
+     * Check that localStorage exists and accepts writes
+     */
+    static isSupported() {
+        try {
+            const probe = '__habitTracker_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async open() {
+        return this;
+    }
+
+    /**
+     * Check whether any of the managed keys hold data
+     */
+    hasData() {
+        try {
+            return Object.values(this.keys).some(key => localStorage.getItem(key) !== null);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read all stores; stores that were never written come back as null
+     */
+    async load() {
+        return {
+            habits: this.read(this.keys.habits),
+            completions: this.read(this.keys.completions),
+            settings: this.read(this.keys.settings),
+            meta: this.read(this.keys.meta)
+        };
+    }
+
+    read(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error(`Error reading ${key} from localStorage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * localStorage has no partial updates, so the whole store touched by the change is rewritten
+     */
+    async write(change, state) {
+        if (change.store === 'all') {
+            return this.replaceAll(state);
+        }
+        if (change.type === 'replace') {
+            localStorage.setItem(this.keys[change.store], JSON.stringify(state[change.store]));
+            return;
+        }
+
+        // Re-read the key so a stale copy in this tab never overwrites another tab's writes
+        const fresh = { [change.store]: this.read(this.keys[change.store]) };
+        DataChanges.apply(fresh, change);
+        localStorage.setItem(this.keys[change.store], JSON.stringify(fresh[change.store]));
+    }
+
+    async replaceAll(state) {
+        localStorage.setItem(this.keys.habits, JSON.stringify(state.habits));
+        localStorage.setItem(this.keys.completions, JSON.stringify(state.completions));
+        localStorage.setItem(this.keys.settings, JSON.stringify(state.settings));
+        localStorage.setItem(this.keys.meta, JSON.stringify(state.meta));
+    }
+
+    async clear() {
+        Object.values(this.keys).forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Approximate bytes used by this origin's localStorage (strings are stored as UTF-16)
+     */
+    async estimateUsage() {
+        let characters = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            characters += key.length + (localStorage.getItem(key) || '').length;
+        }
+        return { usage: characters * 2, quota: this.quota };
+    }
+
+    async getSnapshots() {
+        return this.read(this.snapshotsKey) || [];
+    }
+
+    /**
+     * Save a snapshot, dropping the oldest ones when more than MAX_SNAPSHOTS are kept or
+     * when they would not fit in the snapshot budget
+     */
+    async putSnapshot(snapshot) {
+        const snapshots = (await this.getSnapshots())
+            .filter(s => s.id !== snapshot.id)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        snapshots.push(snapshot);
+
+        const kept = snapshots.slice(-this.MAX_SNAPSHOTS);
+        const budget = this.getSnapshotBudget();
+        let serialized = JSON.stringify(kept);
+        while (serialized.length > budget && kept.length > 1) {
+            kept.shift();
+            serialized = JSON.stringify(kept);
+        }
+        if (serialized.length > budget) {
+            throw new Error('Not enough storage space for a snapshot');
+        }
+
+        // The budget is an estimate; when the browser still refuses, retry without the oldest
+        for (;;) {
+            try {
+                localStorage.setItem(this.snapshotsKey, serialized);
+                return;
+            } catch (error) {
+                if (!StorageWriteError.isQuotaError(error) || kept.length <= 1) throw error;
+                kept.shift();
+                serialized = JSON.stringify(kept);
+            }
+        }
+    }
+
+    /**
+     * Characters the snapshot key may use: what is left of the quota once the other keys are
+     * counted, keeping as much again as the live data takes free so it can still grow
+     */
+    getSnapshotBudget() {
+        let other = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key !== this.snapshotsKey) {
+                other += key.length + (localStorage.getItem(key) || '').length;
+            }
+        }
+        const live = Object.values(this.keys)
+            .reduce((sum, key) => sum + (localStorage.getItem(key) || '').length, 0);
+        return this.quota / 2 - other - live;
+    }
+
+    async deleteSnapshots(ids) {
+        const remaining = (await this.getSnapshots()).filter(s => !ids.includes(s.id));
+        if (remaining.length > 0) {
+            localStorage.setItem(this.snapshotsKey, JSON.stringify(remaining));
+        } else {
+            localStorage.removeItem(this.snapshotsKey);
+        }
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(dbName = 'habitTracker') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.version = 3;
+        this.storeNames = ['habits', 'completions', 'settings', 'meta'];
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database, creating or upgrading object stores as needed
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(request.result, event.oldVersion);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    // Another tab is upgrading the schema; release the connection so it can proceed
+                    this.db.close();
+                    console.warn('IndexedDB was upgraded in another tab; reload this tab to continue saving');
+                };
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade is waiting for other tabs to close');
+            };
+        });
+    }
+
+    /**
+     * Create object stores and indexes for each schema version
+     */
+    upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            db.createObjectStore('habits', { keyPath: 'id' });
+
+            // One record per habit and day, keyed by [habitId, date]
+            const completions = db.createObjectStore('completions', { keyPath: ['habitId', 'date'] });
+            completions.createIndex('habitId', 'habitId');
+            completions.createIndex('date', 'date');
+
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+        if (oldVersion < 2) {
+            // Schema version and other bookkeeping, stored like settings
+            db.createObjectStore('meta', { keyPath: 'key' });
+        }
+        if (oldVersion < 3) {
+            // Point-in-time copies of the data; not part of storeNames so clear() keeps them
+            db.createObjectStore('snapshots', { keyPath: 'id' });
+        }
+    }
+
+    /**
+     * Check whether the database has never been written to
+     */
+    async isEmpty() {
+        const tx = this.db.transaction(['habits', 'settings'], 'readonly');
+        const [habitCount, settingsCount] = await Promise.all([
+            this.request(tx.objectStore('habits').count()),
+            this.request(tx.objectStore('settings').count())
+        ]);
+        return habitCount === 0 && settingsCount === 0;
+    }
+
+    /**
+     * Read all stores into the shapes StorageManager works with
+     */
+    async load() {
+        const tx = this.db.transaction(this.storeNames, 'readonly');
+        const [habits, completionRecords, settingRecords, metaRecords] = await Promise.all([
+            this.request(tx.objectStore('habits').getAll()),
+            this.request(tx.objectStore('completions').getAll()),
+            this.request(tx.objectStore('settings').getAll()),
+            this.request(tx.objectStore('meta').getAll())
+        ]);
+
+        // Records come back ordered by key; restore creation order for habits
+        habits.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+        const completions = {};
+        completionRecords.forEach(({ habitId, ...entry }) => {
+            if (!completions[habitId]) {
+                completions[habitId] = [];
+            }
+            completions[habitId].push(entry);
+        });
+
+        return {
+            habits,
+            completions,
+            settings: this.recordsToObject(settingRecords),
+            meta: this.recordsToObject(metaRecords)
+        };
+    }
+
+    /**
+     * Persist a single change, touching only the records it affects
+     */
+    write(change, state) {
+        if (change.store === 'all') {
+            return this.replaceAll(state);
+        }
+
+        const tx = this.db.transaction(change.store, 'readwrite');
+        const store = tx.objectStore(change.store);
+
+        if (change.type === 'replace') {
+            store.clear();
+            this.putRecords(change.store, store, state[change.store]);
+        } else if (change.store === 'habits') {
+            if (change.type === 'put') {
+                store.put(change.habit);
+            } else if (change.type === 'patch') {
+                // Merge onto the stored record inside the transaction, never onto a cached copy
+                const request = store.get(change.habitId);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put(DataChanges.mergeHabit(request.result, change));
+                    }
+                };
+            } else if (change.type === 'delete') {
+                store.delete(change.habitId);
+            }
+        } else if (change.store === 'completions') {
+            if (change.type === 'put' || change.type === 'putMany') {
+                const entries = change.type === 'put' ? [change.entry] : change.entries;
+                entries.forEach(entry => this.putCompletionIfAbsent(store, change.habitId, entry));
+            } else if (change.type === 'set') {
+                store.put({ ...change.entry, habitId: change.habitId });
+            } else if (change.type === 'delete') {
+                store.delete([change.habitId, change.date]);
+            } else if (change.type === 'deleteHabit') {
+                store.delete(this.habitKeyRange(change.habitId));
+            }
+        }
+
+        return this.transactionDone(tx);
+    }
+
+    /**
+     * Replace the contents of every store in one transaction
+     */
+    replaceAll(state) {
+        const tx = this.db.transaction(this.storeNames, 'readwrite');
+        this.storeNames.forEach(storeName => {
+            const store = tx.objectStore(storeName);
+            store.clear();
+            this.putRecords(storeName, store, state[storeName]);
+        });
+        return this.transactionDone(tx);
+    }
+
+    clear() {
+        const tx = this.db.transaction(this.storeNames, 'readwrite');
+        this.storeNames.forEach(storeName => tx.objectStore(storeName).clear());
+        return this.transactionDone(tx);
+    }
+
+    /**
+     * Bytes used and available to the origin, as reported by the browser
+     */
+    async estimateUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    getSnapshots() {
+        const tx = this.db.transaction('snapshots', 'readonly');
+        return this.request(tx.objectStore('snapshots').getAll());
+    }
+
+    putSnapshot(snapshot) {
+        const tx = this.db.transaction('snapshots', 'readwrite');
+        tx.objectStore('snapshots').put(snapshot);
+        return this.transactionDone(tx);
+    }
+
+    deleteSnapshots(ids) {
+        const tx = this.db.transaction('snapshots', 'readwrite');
+        const store = tx.objectStore('snapshots');
+        ids.forEach(id => store.delete(id));
+        return this.transactionDone(tx);
+    }
+
+    /**
+     * Convert an in-memory store into records and put them
+     */
+    putRecords(storeName, store, value) {
+        if (storeName === 'habits') {
+            (value || []).forEach(habit => store.put(habit));
+        } else if (storeName === 'completions') {
+            Object.entries(value || {}).forEach(([habitId, entries]) => {
+                entries.forEach(entry => store.put({ ...entry, habitId }));
+            });
+        } else {
+            // settings and meta hold one record per top-level key
+            Object.entries(value || {}).forEach(([key, recordValue]) => {
+                store.put({ key, value: recordValue });
+            });
+        }
+    }
+
+    /**
+     * Rebuild a key/value store into a plain object; empty stores come back as null
+     */
+    recordsToObject(records) {
+        if (records.length === 0) {
+            return null;
+        }
+        const result = {};
+        records.forEach(({ key, value }) => {
+            result[key] = value;
+        });
+        return result;
+    }
+
+    /**
+     * Keep the first recorded completion of a day, matching DataChanges.apply
+     */
+    putCompletionIfAbsent(store, habitId, entry) {
+        const request = store.getKey([habitId, entry.date]);
+        request.onsuccess = () => {
+            if (request.result === undefined) {
+                store.put({ ...entry, habitId });
+            }
+        };
+    }
+
+    /**
+     * Key range covering every [habitId, date] key of one habit
+     */
+    habitKeyRange(habitId) {
+        // Arrays sort after strings, so [habitId, []] is above any [habitId, date]
+        return IDBKeyRange.bound([habitId], [habitId, []]);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
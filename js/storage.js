@@ -1,184 +1,599 @@
 /**
- * Storage Module - Handles all localStorage operations
- * Manages habits, completion logs, and app settings
+ * Storage Module - Handles all persistence operations
+ * Manages habits, completion logs, and app settings on top of an
+ * IndexedDB backend, falling back to localStorage where it is unavailable
  */
 
+/**
+ * A change that could not be written to the backend
+ */
+class StorageWriteError extends Error {
+    constructor(message, cause, change) {
+        super(message);
+        this.name = 'StorageWriteError';
+        this.cause = cause;
+        this.change = change;
+        this.quotaExceeded = StorageWriteError.isQuotaError(cause);
+    }
+
+    static isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+}
+
 class StorageManager {
     constructor() {
         this.HABITS_KEY = 'habitTracker_habits';
         this.COMPLETIONS_KEY = 'habitTracker_completions';
         this.SETTINGS_KEY = 'habitTracker_settings';
-        this.initializeStorage();
+        this.META_KEY = 'habitTracker_meta';
+        this.SNAPSHOTS_KEY = 'habitTracker_snapshots';
+        this.DB_NAME = 'habitTracker';
+        this.adapter = null;
+        this.loadError = null;
+        this.listeners = [];
+        this.writeErrorListeners = [];
+
+        // Identifies this tab when stamping habit edits and syncing with other tabs
+        this.clientId = this.generateId();
+        this.stampCounter = 0;
+
+        // In-memory copy of the backend; every read is served from here
+        this.data = {
+            habits: [],
+            completions: {},
+            settings: this.getDefaultSettings(),
+            meta: { schemaVersion: schemaMigrator.currentVersion }
+        };
+
+        // Bumped on every change to the in-memory copy so derived data can be cached until then
+        this.revision = 0;
+        this.completionIndex = new Map();
+
+        // Resolves once the backend is open and its data is loaded
+        this.ready = this.open();
+
+        // Writes run one after another, so a failed write can be rolled back before the next one
+        this.writeQueue = this.ready;
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * Drop everything derived from the in-memory copy after it changed
+     */
+    invalidate() {
+        this.revision++;
+        this.completionIndex.clear();
+    }
+
+    /**
+     * Open the preferred backend and load its data into memory
+     */
+    async open() {
+        const legacy = new LocalStorageAdapter({
+            habits: this.HABITS_KEY,
+            completions: this.COMPLETIONS_KEY,
+            settings: this.SETTINGS_KEY,
+            meta: this.META_KEY
+        }, this.SNAPSHOTS_KEY);
+
+        try {
+            this.adapter = await this.openIndexedDB(legacy);
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            this.adapter = legacy;
+        }
+
+        try {
+            const data = await this.adapter.load();
+            this.upgradeSchema(data);
+            this.initializeStorage();
+        } catch (error) {
+            // Keep the in-memory defaults but never overwrite data we could not read
+            console.error('Error reading data from storage:', error);
+            this.loadError = error;
+        }
+    }
+
+    /**
+     * Run pending schema migrations over freshly loaded data and persist the result
+     */
+    upgradeSchema(data) {
+        const isEmpty = !data.settings && !(data.habits && data.habits.length);
+        const storedVersion = data.meta && Number.isInteger(data.meta.schemaVersion)
+            ? data.meta.schemaVersion
+            : 0;
+        const { data: migrated, applied, toVersion } = schemaMigrator.migrate(
+            data,
+            isEmpty ? schemaMigrator.currentVersion : storedVersion
+        );
+
+        this.data = {
+            habits: migrated.habits || null,
+            completions: migrated.completions || null,
+            settings: migrated.settings || null,
+            meta: { ...(data.meta || {}), schemaVersion: toVersion }
+        };
+        this.invalidate();
+
+        if (applied.length > 0) {
+            this.persist({ store: 'all', type: 'replace' }, 'Error saving migrated data to storage:');
+        } else if (!data.meta || data.meta.schemaVersion !== toVersion) {
+            this.persist({ store: 'meta', type: 'replace' }, 'Error saving schema version to storage:');
+        }
+    }
+
+    /**
+     * Open IndexedDB, migrating existing localStorage data on first use
+     */
+    async openIndexedDB(legacy) {
+        if (!IndexedDBAdapter.isSupported()) {
+            throw new Error('IndexedDB is not supported');
+        }
+
+        const adapter = await new IndexedDBAdapter(this.DB_NAME).open();
+        if (legacy.hasData() && await adapter.isEmpty()) {
+            await this.migrateFromLocalStorage(legacy, adapter);
+        }
+        return adapter;
+    }
+
+    /**
+     * Copy the legacy localStorage keys into IndexedDB and remove them
+     */
+    async migrateFromLocalStorage(legacy, adapter) {
+        const data = await legacy.load();
+
+        // Legacy shapes may not fit the object store keys, so upgrade them first
+        const { data: migrated, toVersion } = schemaMigrator.migrate(
+            data,
+            data.meta && Number.isInteger(data.meta.schemaVersion) ? data.meta.schemaVersion : 0
+        );
+        await adapter.replaceAll({
+            habits: migrated.habits || [],
+            completions: migrated.completions || {},
+            settings: migrated.settings || this.getDefaultSettings(),
+            meta: { ...(data.meta || {}), schemaVersion: toVersion }
+        });
+        const snapshots = await legacy.getSnapshots();
+        for (const snapshot of snapshots) {
+            await adapter.putSnapshot(snapshot);
+        }
+
+        await legacy.clear();
+        await legacy.deleteSnapshots(snapshots.map(snapshot => snapshot.id));
     }
 
     /**
      * Initialize storage with default values if empty
      */
     initializeStorage() {
-        if (!this.getHabits()) {
+        if (!Array.isArray(this.data.habits)) {
             this.saveHabits([]);
         }
-        if (!this.getCompletions()) {
+        if (!this.data.completions) {
             this.saveCompletions({});
         }
-        if (!this.getSettings()) {
-            this.saveSettings({
-                notificationsEnabled: false,
-                reminderTimes: {}
+        if (!this.data.settings) {
+            this.saveSettings(this.getDefaultSettings());
+        }
+    }
+
+    /**
+     * Write a change through to the backend once it is ready
+     * Resolves to true once stored, or false when the write failed and was rolled back
+     */
+    persist(change, errorMessage) {
+        // Every local change to the in-memory copy is persisted through here
+        this.invalidate();
+
+        const write = this.writeQueue
+            .then(() => this.adapter.write(change, this.data))
+            .then(() => {
+                this.notify(change);
+                return true;
+            })
+            .catch(error => {
+                console.error(errorMessage, error);
+                return this.handleWriteError(new StorageWriteError(errorMessage, error, change));
             });
+
+        this.writeQueue = write;
+        this.pendingWrites.add(write);
+        write.then(() => this.pendingWrites.delete(write));
+        return write;
+    }
+
+    /**
+     * Wait for every write started so far; resolves to false if any of them failed
+     */
+    async flush() {
+        const results = await Promise.all(this.pendingWrites);
+        return results.every(Boolean);
+    }
+
+    /**
+     * Roll the in-memory copy back to what the backend holds and tell listeners
+     * The UI must never show a change that was not stored
+     */
+    async handleWriteError(error) {
+        try {
+            await this.reload();
+        } catch (reloadError) {
+            console.error('Error reloading data after a failed write:', reloadError);
+        }
+
+        this.writeErrorListeners.forEach(listener => {
+            try {
+                listener(error);
+            } catch (listenerError) {
+                console.error('Error in storage write error listener:', listenerError);
+            }
+        });
+        return false;
+    }
+
+    /**
+     * Listen for writes that failed, e.g. because storage is full
+     */
+    onWriteError(listener) {
+        this.writeErrorListeners.push(listener);
+        return () => {
+            this.writeErrorListeners = this.writeErrorListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Apply a granular change to the in-memory copy and persist it
+     */
+    commit(change, errorMessage) {
+        DataChanges.apply(this.data, change);
+        return this.persist(change, errorMessage);
+    }
+
+    /**
+     * Listen for changes once they are persisted
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify(change) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in storage listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Apply a change persisted by another tab
+     * Granular changes are merged into memory; wholesale replacements reload from the backend
+     */
+    async applyRemoteChange(change) {
+        await this.ready;
+        if (change.store === 'all' || change.type === 'replace') {
+            await this.reload();
+        } else {
+            DataChanges.apply(this.data, change);
+            this.invalidate();
         }
     }
 
+    /**
+     * Re-read every store from the backend
+     */
+    async reload() {
+        const data = await this.adapter.load();
+        this.data = {
+            habits: data.habits || [],
+            completions: data.completions || {},
+            settings: data.settings || this.getDefaultSettings(),
+            meta: data.meta || this.data.meta
+        };
+        this.invalidate();
+    }
+
     /**
      * Habit Management
      */
     getHabits() {
-        try {
-            const habits = localStorage.getItem(this.HABITS_KEY);
-            return habits ? JSON.parse(habits) : [];
-        } catch (error) {
-            console.error('Error reading habits from storage:', error);
-            return [];
-        }
+        return (this.data.habits || []).map(habit => ({ ...habit }));
     }
 
     saveHabits(habits) {
-        try {
-            localStorage.setItem(this.HABITS_KEY, JSON.stringify(habits));
-        } catch (error) {
-            console.error('Error saving habits to storage:', error);
-        }
+        this.data.habits = habits.map(habit => ({ ...habit }));
+        return this.persist({ store: 'habits', type: 'replace' }, 'Error saving habits to storage:');
     }
 
     addHabit(habit) {
-        const habits = this.getHabits();
         habit.id = this.generateId();
         habit.createdAt = new Date().toISOString();
         habit.updatedAt = new Date().toISOString();
-        habits.push(habit);
-        this.saveHabits(habits);
+        this.commit({ store: 'habits', type: 'put', habit: { ...habit } }, 'Error saving habits to storage:');
         return habit;
     }
 
+    /**
+     * Update habit fields
+     * Stored as a patch so concurrent edits from other tabs merge field by field
+     */
     updateHabit(habitId, updates) {
-        const habits = this.getHabits();
-        const index = habits.findIndex(h => h.id === habitId);
-        if (index !== -1) {
-            habits[index] = { ...habits[index], ...updates, updatedAt: new Date().toISOString() };
-            this.saveHabits(habits);
-            return habits[index];
+        if (!this.data.habits.some(h => h.id === habitId)) {
+            return null;
         }
-        return null;
+
+        const updatedAt = new Date().toISOString();
+        this.commit({
+            store: 'habits',
+            type: 'patch',
+            habitId,
+            updates: { ...updates },
+            updatedAt,
+            stamp: this.createStamp(updatedAt)
+        }, 'Error saving habits to storage:');
+        return this.getHabit(habitId);
+    }
+
+    /**
+     * Stamp for a habit patch: time, then client id, then a counter so that
+     * edits made by this tab within the same millisecond still order correctly
+     */
+    createStamp(time) {
+        this.stampCounter++;
+        return `${time}#${this.clientId}#${String(this.stampCounter).padStart(8, '0')}`;
     }
 
     deleteHabit(habitId) {
-        const habits = this.getHabits();
-        const filteredHabits = habits.filter(h => h.id !== habitId);
-        this.saveHabits(filteredHabits);
-        
+        this.commit({ store: 'habits', type: 'delete', habitId }, 'Error saving habits to storage:');
+
         // Also remove completions for this habit
-        const completions = this.getCompletions();
-        delete completions[habitId];
-        this.saveCompletions(completions);
+        this.commit({ store: 'completions', type: 'deleteHabit', habitId }, 'Error saving completions to storage:');
+    }
+
+    /**
+     * Insert or replace a habit, keeping its id and timestamps
+     */
+    putHabit(habit) {
+        this.commit({ store: 'habits', type: 'put', habit: { ...habit } }, 'Error saving habits to storage:');
+        return this.getHabit(habit.id);
     }
 
     getHabit(habitId) {
-        const habits = this.getHabits();
-        return habits.find(h => h.id === habitId);
+        const habit = this.data.habits.find(h => h.id === habitId);
+        return habit ? { ...habit } : undefined;
     }
 
     /**
      * Completion Management
      */
     getCompletions() {
-        try {
-            const completions = localStorage.getItem(this.COMPLETIONS_KEY);
-            return completions ? JSON.parse(completions) : {};
-        } catch (error) {
-            console.error('Error reading completions from storage:', error);
-            return {};
-        }
+        const completions = {};
+        Object.entries(this.data.completions || {}).forEach(([habitId, entries]) => {
+            completions[habitId] = entries.map(entry => ({ ...entry }));
+        });
+        return completions;
     }
 
     saveCompletions(completions) {
-        try {
-            localStorage.setItem(this.COMPLETIONS_KEY, JSON.stringify(completions));
-        } catch (error) {
-            console.error('Error saving completions to storage:', error);
+        this.data.completions = {};
+        Object.entries(completions).forEach(([habitId, entries]) => {
+            this.data.completions[habitId] = entries.map(entry => ({ ...entry }));
+        });
+        return this.persist({ store: 'completions', type: 'replace' }, 'Error saving completions to storage:');
+    }
+
+    /**
+     * Record a completion; returns false when the date was already completed
+     * A measurable habit is completed by raising the day's amount to its target
+     */
+    markHabitComplete(habitId, date = dateUtils.today(), timestamp = new Date().toISOString()) {
+        // Check if already completed for this date
+        if (this.isHabitCompleted(habitId, date)) {
+            return false;
+        }
+
+        const habit = this.getHabit(habitId);
+        if (this.isMeasurable(habit)) {
+            const entry = this.getCompletionEntry(habitId, date);
+            this.setCompletionEntry(habitId, {
+                ...entry,
+                date,
+                timestamp: (entry && entry.timestamp) || timestamp,
+                amount: habit.target
+            });
+            return true;
         }
+
+        this.commit({ store: 'completions', type: 'put', habitId, entry: { date, timestamp } }, 'Error saving completions to storage:');
+        return true;
     }
 
-    markHabitComplete(habitId, date = new Date().toISOString().split('T')[0]) {
-        const completions = this.getCompletions();
-        if (!completions[habitId]) {
-            completions[habitId] = [];
+    /**
+     * Add to the amount logged for a measurable habit on a date; negative amounts correct it
+     * Returns the new total. A total of zero removes the day's entry.
+     */
+    logAmount(habitId, amount, date = dateUtils.today()) {
+        const entry = this.getCompletionEntry(habitId, date);
+        const total = Math.max(0, this.getEntryAmount(this.getHabit(habitId), entry) + amount);
+
+        this.setCompletionEntry(habitId, total > 0
+            ? { ...entry, date, timestamp: (entry && entry.timestamp) || new Date().toISOString(), amount: total }
+            : null, date);
+        return total;
+    }
+
+    /**
+     * Attach a note and a 1-5 rating to the entry of a date; empty values remove them
+     * Returns the updated entry, or null when nothing was logged that day
+     */
+    setCompletionDetails(habitId, date, { note = '', rating = null }) {
+        const entry = this.getCompletionEntry(habitId, date);
+        if (!entry) return null;
+
+        delete entry.note;
+        delete entry.rating;
+        if (note) entry.note = note;
+        if (rating) entry.rating = rating;
+        this.setCompletionEntry(habitId, entry);
+        return entry;
+    }
+
+    /**
+     * Replace the entry of one date, or remove it when entry is null
+     */
+    setCompletionEntry(habitId, entry, date = entry && entry.date) {
+        if (entry) {
+            this.commit({ store: 'completions', type: 'set', habitId, entry: { ...entry } }, 'Error saving completions to storage:');
+        } else if (this.getCompletionEntry(habitId, date)) {
+            this.commit({ store: 'completions', type: 'delete', habitId, date }, 'Error saving completions to storage:');
         }
-        
-        // Check if already completed for this date
-        const existingIndex = completions[habitId].findIndex(c => c.date === date);
-        if (existingIndex === -1) {
-            completions[habitId].push({ date, timestamp: new Date().toISOString() });
+    }
+
+    /**
+     * Measurable habits have a numeric target per day, e.g. 8 glasses
+     */
+    isMeasurable(habit) {
+        return Boolean(habit && habit.target > 0);
+    }
+
+    /**
+     * Amount an entry records; entries without one (plain completions) count as the full target
+     */
+    getEntryAmount(habit, entry) {
+        if (!entry) return 0;
+        if (typeof entry.amount === 'number') return entry.amount;
+        return this.isMeasurable(habit) ? habit.target : 1;
+    }
+
+    /**
+     * Check if an entry completes its day: measurable habits need the target reached
+     */
+    isEntryMet(habit, entry) {
+        return Boolean(entry) && (!this.isMeasurable(habit) || this.getEntryAmount(habit, entry) >= habit.target);
+    }
+
+    /**
+     * Remove the day's entry, including any partial amount
+     */
+    markHabitIncomplete(habitId, date = dateUtils.today()) {
+        if (this.getCompletionEntry(habitId, date)) {
+            this.commit({ store: 'completions', type: 'delete', habitId, date }, 'Error saving completions to storage:');
         }
-        
-        this.saveCompletions(completions);
     }
 
-    markHabitIncomplete(habitId, date = new Date().toISOString().split('T')[0]) {
-        const completions = this.getCompletions();
-        if (completions[habitId]) {
-            completions[habitId] = completions[habitId].filter(c => c.date !== date);
-            this.saveCompletions(completions);
+    /**
+     * Add completion entries for dates not yet recorded; returns how many were added
+     */
+    addCompletions(habitId, entries) {
+        const existingDates = new Set(this.getCompletionIndex(habitId).keys());
+        const added = [];
+        entries.forEach(entry => {
+            if (!existingDates.has(entry.date)) {
+                existingDates.add(entry.date);
+                added.push({ ...entry });
+            }
+        });
+
+        if (added.length > 0) {
+            this.commit({ store: 'completions', type: 'putMany', habitId, entries: added }, 'Error saving completions to storage:');
         }
+        return added.length;
     }
 
-    isHabitCompleted(habitId, date = new Date().toISOString().split('T')[0]) {
-        const completions = this.getCompletions();
-        return completions[habitId] ? completions[habitId].some(c => c.date === date) : false;
+    /**
+     * Get the stored completion entry of a habit for one date
+     */
+    getCompletionEntry(habitId, date) {
+        const entry = this.getCompletionIndex(habitId).get(date);
+        return entry ? { ...entry } : null;
     }
 
-    getHabitCompletions(habitId, days = 30) {
-        const completions = this.getCompletions();
-        const habitCompletions = completions[habitId] || [];
-        
-        // Get dates for the last N days
-        const dates = [];
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            dates.push(date.toISOString().split('T')[0]);
+    /**
+     * Completion entries of a habit keyed by date
+     * Built on first use and kept until the data next changes; the entries must not be modified
+     */
+    getCompletionIndex(habitId) {
+        let index = this.completionIndex.get(habitId);
+        if (!index) {
+            const entries = (this.data.completions && this.data.completions[habitId]) || [];
+            index = new Map(entries.map(entry => [entry.date, entry]));
+            this.completionIndex.set(habitId, index);
         }
-        
-        return dates.map(date => ({
+        return index;
+    }
+
+    isHabitCompleted(habitId, date = dateUtils.today()) {
+        return this.isEntryMet(this.getHabit(habitId), this.getCompletionIndex(habitId).get(date));
+    }
+
+    /**
+     * Set of every date a habit was completed on; partial amounts do not count
+     */
+    getCompletedDates(habitId) {
+        const habit = this.getHabit(habitId);
+        const dates = new Set();
+        this.getCompletionIndex(habitId).forEach((entry, date) => {
+            if (this.isEntryMet(habit, entry)) dates.add(date);
+        });
+        return dates;
+    }
+
+    /**
+     * Amount logged per date for a measurable habit
+     */
+    getAmounts(habitId) {
+        const habit = this.getHabit(habitId);
+        const amounts = new Map();
+        this.getCompletionIndex(habitId).forEach((entry, date) => amounts.set(date, this.getEntryAmount(habit, entry)));
+        return amounts;
+    }
+
+    getHabitCompletions(habitId, days = 30) {
+        const completedDates = this.getCompletedDates(habitId);
+        const amounts = this.getAmounts(habitId);
+
+        return dateUtils.lastNDays(days).map(date => ({
             date,
-            completed: habitCompletions.some(c => c.date === date)
+            completed: completedDates.has(date),
+            amount: amounts.get(date) || 0
         }));
     }
 
     /**
      * Settings Management
      */
+    getDefaultSettings() {
+        return {
+            notificationsEnabled: false,
+            reminderTimes: {},
+            vacations: [],
+            streakFreezes: true,
+            groupByTag: false,
+            weeklyReport: false,
+            lastWeeklyReport: null
+        };
+    }
+
     getSettings() {
-        try {
-            const settings = localStorage.getItem(this.SETTINGS_KEY);
-            return settings ? JSON.parse(settings) : {
-                notificationsEnabled: false,
-                reminderTimes: {}
-            };
-        } catch (error) {
-            console.error('Error reading settings from storage:', error);
-            return {
-                notificationsEnabled: false,
-                reminderTimes: {}
-            };
+        if (!this.data.settings) {
+            return this.getDefaultSettings();
         }
+        return JSON.parse(JSON.stringify(this.data.settings));
     }
 
     saveSettings(settings) {
-        try {
-            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
-        } catch (error) {
-            console.error('Error saving settings to storage:', error);
-        }
+        this.data.settings = JSON.parse(JSON.stringify(settings));
+        return this.persist({ store: 'settings', type: 'replace' }, 'Error saving settings to storage:');
     }
 
     updateSettings(updates) {
@@ -188,6 +603,30 @@ class StorageManager {
         return newSettings;
     }
 
+    /**
+     * Vacations excuse every habit for a range of days, e.g. { id, start: "2024-07-01", end: "2024-07-14" }
+     */
+    getVacations() {
+        return ((this.data.settings && this.data.settings.vacations) || []).map(vacation => ({ ...vacation }));
+    }
+
+    addVacation(start, end) {
+        const vacation = { id: this.generateId(), start, end };
+        this.updateSettings({ vacations: [...this.getVacations(), vacation].sort((a, b) => a.start.localeCompare(b.start)) });
+        return vacation;
+    }
+
+    removeVacation(vacationId) {
+        this.updateSettings({ vacations: this.getVacations().filter(vacation => vacation.id !== vacationId) });
+    }
+
+    /**
+     * Vacation covering a date, if any
+     */
+    getVacationOn(date = dateUtils.today()) {
+        return this.getVacations().find(vacation => vacation.start <= date && date <= vacation.end) || null;
+    }
+
     /**
      * Utility Methods
      */
@@ -203,15 +642,21 @@ class StorageManager {
             habits: this.getHabits(),
             completions: this.getCompletions(),
             settings: this.getSettings(),
+            schemaVersion: schemaMigrator.currentVersion,
             exportDate: new Date().toISOString()
         };
     }
 
+    /**
+     * Import a backup, upgrading it from its recorded schema version first
+     */
     importData(data) {
         try {
-            if (data.habits) this.saveHabits(data.habits);
-            if (data.completions) this.saveCompletions(data.completions);
-            if (data.settings) this.saveSettings(data.settings);
+            const { data: migrated } = schemaMigrator.migrate(data);
+            if (migrated.habits) this.data.habits = migrated.habits;
+            if (migrated.completions) this.data.completions = migrated.completions;
+            if (migrated.settings) this.data.settings = migrated.settings;
+            this.persist({ store: 'all', type: 'replace' }, 'Error importing data:');
             return true;
         } catch (error) {
             console.error('Error importing data:', error);
@@ -219,13 +664,62 @@ class StorageManager {
         }
     }
 
+    /**
+     * Remove completions recorded before a date to free up space; returns how many were removed
+     */
+    compactCompletions(beforeDate) {
+        let removed = 0;
+        const completions = {};
+        Object.entries(this.data.completions || {}).forEach(([habitId, entries]) => {
+            completions[habitId] = entries.filter(entry => entry.date >= beforeDate);
+            removed += entries.length - completions[habitId].length;
+        });
+
+        if (removed > 0) {
+            this.saveCompletions(completions);
+        }
+        return removed;
+    }
+
+    /**
+     * Snapshots
+     * Stored by the backend outside the data stores, newest first
+     */
+    async getSnapshots() {
+        await this.ready;
+        const snapshots = await this.adapter.getSnapshots();
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async saveSnapshot(snapshot) {
+        await this.ready;
+        await this.adapter.putSnapshot(snapshot);
+    }
+
+    async deleteSnapshots(ids) {
+        if (ids.length === 0) return;
+        await this.ready;
+        await this.adapter.deleteSnapshots(ids);
+    }
+
     /**
      * Clear all data
+     * Snapshots are kept so the cleared data can still be restored
      */
-    clearAllData() {
-        localStorage.removeItem(this.HABITS_KEY);
-        localStorage.removeItem(this.COMPLETIONS_KEY);
-        localStorage.removeItem(this.SETTINGS_KEY);
+    async clearAllData() {
+        try {
+            await this.ready;
+            await this.adapter.clear();
+        } catch (error) {
+            console.error('Error clearing storage:', error);
+        }
+        this.data = {
+            habits: null,
+            completions: null,
+            settings: null,
+            meta: { schemaVersion: schemaMigrator.currentVersion }
+        };
+        this.persist({ store: 'meta', type: 'replace' }, 'Error saving schema version to storage:');
         this.initializeStorage();
     }
 
@@ -242,6 +736,8 @@ class StorageManager {
         });
 
         return {
+            backend: this.adapter ? this.adapter.name : 'localStorage',
+            schemaVersion: this.data.meta ? this.data.meta.schemaVersion : 0,
             totalHabits: habits.length,
             totalCompletions,
             storageSize: JSON.stringify({
@@ -251,6 +747,30 @@ class StorageManager {
             }).length
         };
     }
+
+    /**
+     * Storage statistics with the space used and available to the backend
+     * usage and quota are in bytes, or null where the browser cannot tell
+     */
+    async getStorageEstimate() {
+        const stats = this.getStorageStats();
+        let estimate = null;
+        try {
+            await this.ready;
+            estimate = await this.adapter.estimateUsage();
+        } catch (error) {
+            console.error('Error estimating storage usage:', error);
+        }
+
+        const usage = estimate ? estimate.usage : null;
+        const quota = estimate ? estimate.quota : null;
+        return {
+            ...stats,
+            usage,
+            quota,
+            percentUsed: usage !== null && quota ? Math.min(100, Math.round((usage / quota) * 100)) : null
+        };
+    }
 }
 
 // Create global storage instance
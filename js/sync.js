@@ -0,0 +1,105 @@
+/**
+ * Sync Module - Keeps every open tab up to date
+ * Broadcasts persisted storage changes and applies changes made in other tabs
+ */
+
+class SyncManager {
+    constructor() {
+        this.CHANNEL_NAME = 'habitTracker_sync';
+        this.channel = null;
+        this.refreshTimer = null;
+        this.remindersChanged = false;
+
+        // Remote changes are applied one at a time, in the order they arrive
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Start listening to other tabs and broadcasting local changes
+     */
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleMessage(event.data);
+        } else {
+            // Older browsers: relay messages through a localStorage key
+            window.addEventListener('storage', (event) => {
+                if (event.key !== this.CHANNEL_NAME || !event.newValue) return;
+                try {
+                    this.handleMessage(JSON.parse(event.newValue));
+                } catch (error) {
+                    // Not a message of ours; ignore it
+                }
+            });
+        }
+
+        storage.subscribe(change => this.broadcast(change));
+    }
+
+    /**
+     * Tell other tabs about a change this tab persisted
+     */
+    broadcast(change) {
+        const message = { source: storage.clientId, change };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(this.CHANNEL_NAME, JSON.stringify({ ...message, sentAt: Date.now() }));
+            }
+        } catch (error) {
+            console.error('Error broadcasting change to other tabs:', error);
+        }
+    }
+
+    /**
+     * Apply a change received from another tab
+     */
+    handleMessage(message) {
+        if (!message || typeof message !== 'object' || !message.change || typeof message.change.store !== 'string' ||
+            message.source === storage.clientId) {
+            return;
+        }
+
+        const { change } = message;
+        // Undo entries hold copies taken before the other tab's change; replaying them would revert it
+        historyManager.clear();
+        // Reminders depend on the saved reminder times and on which habits are still active
+        if (change.store === 'settings' || change.store === 'habits' || change.store === 'all') {
+            this.remindersChanged = true;
+        }
+
+        this.queue = this.queue
+            .then(() => storage.applyRemoteChange(change))
+            .then(() => this.scheduleRefresh())
+            .catch(error => {
+                console.error('Error applying change from another tab:', error);
+            });
+    }
+
+    /**
+     * Refresh once after a burst of remote changes
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), 50);
+    }
+
+    refresh() {
+        habitManager.loadHabits();
+        uiManager.handleExternalChange();
+
+        if (this.remindersChanged) {
+            this.remindersChanged = false;
+            // Timers of reminders removed in the other tab would otherwise keep firing here
+            notificationManager.cancelAllReminderTimers();
+            notificationManager.loadReminders();
+            if (window.habitTrackerApp) {
+                window.habitTrackerApp.updateNotificationButtonStatus();
+            }
+        }
+    }
+}
+
+// Create global sync manager instance
+const syncManager = new SyncManager();
@@ -6,6 +6,17 @@
 class UIManager {
     constructor() {
         this.currentEditingHabit = null;
+        this.currentDetailsHabitId = null;
+        this.passphraseRequest = null;
+        this.noteTarget = null;
+        this.heatmapYear = null;
+        // Range of the statistics dashboard: the last `days` days, or from..to when days is null
+        this.statsRange = { days: 30, from: null, to: null };
+        this.currentReport = null;
+        // Tag shown in the habit list: null for every habit, '' for habits without tags
+        this.tagFilter = null;
+        this.renderedTags = [];
+        this.RATING_EMOJI = ['😞', '🙁', '😐', '🙂', '😄'];
         this.initializeEventListeners();
     }
 
@@ -25,6 +36,35 @@ class UIManager {
             notificationBtn.addEventListener('click', () => this.handleNotificationPermission());
         }
 
+        // Export / import buttons
+        const importBtn = document.getElementById('importBtn');
+        const importFileInput = document.getElementById('importFileInput');
+        document.querySelectorAll('[data-export]').forEach(item => {
+            item.addEventListener('click', () => {
+                const format = item.dataset.export;
+                if (format === 'json') {
+                    window.habitTrackerApp.exportData();
+                } else if (format === 'encrypted') {
+                    window.habitTrackerApp.exportEncryptedData();
+                } else {
+                    window.habitTrackerApp.exportCsv(format === 'habits-csv' ? 'habits' : 'completions');
+                }
+                if (document.activeElement) {
+                    document.activeElement.blur();
+                }
+            });
+        });
+        if (importBtn && importFileInput) {
+            importBtn.addEventListener('click', () => importFileInput.click());
+            importFileInput.addEventListener('change', () => {
+                const file = importFileInput.files[0];
+                importFileInput.value = '';
+                if (file) {
+                    window.habitTrackerApp.importData(file).catch(() => {});
+                }
+            });
+        }
+
         // Modal close buttons
         const closeModal = document.getElementById('closeModal');
         const closeDetailsModal = document.getElementById('closeDetailsModal');
@@ -39,6 +79,93 @@ class UIManager {
         if (cancelBtn) {
             cancelBtn.addEventListener('click', () => this.closeModal('habitModal'));
         }
+        const closeImportModal = document.getElementById('closeImportModal');
+        if (closeImportModal) {
+            closeImportModal.addEventListener('click', () => this.closeModal('importModal'));
+        }
+
+        // Snapshots
+        const snapshotsBtn = document.getElementById('snapshotsBtn');
+        if (snapshotsBtn) {
+            snapshotsBtn.addEventListener('click', () => this.openSnapshots());
+        }
+        const closeSnapshotsModal = document.getElementById('closeSnapshotsModal');
+        if (closeSnapshotsModal) {
+            closeSnapshotsModal.addEventListener('click', () => this.closeModal('snapshotsModal'));
+        }
+        const takeSnapshotBtn = document.getElementById('takeSnapshotBtn');
+        if (takeSnapshotBtn) {
+            takeSnapshotBtn.addEventListener('click', async () => {
+                if (await window.habitTrackerApp.takeSnapshot()) {
+                    this.renderSnapshotList();
+                }
+            });
+        }
+
+        // Vacations, rest days and streak freezes
+        const timeOffBtn = document.getElementById('timeOffBtn');
+        if (timeOffBtn) {
+            timeOffBtn.addEventListener('click', () => this.openTimeOff());
+        }
+        const closeTimeOffModal = document.getElementById('closeTimeOffModal');
+        if (closeTimeOffModal) {
+            closeTimeOffModal.addEventListener('click', () => this.closeModal('timeOffModal'));
+        }
+        const vacationForm = document.getElementById('vacationForm');
+        if (vacationForm) {
+            vacationForm.addEventListener('submit', (e) => this.handleVacationSubmit(e));
+        }
+        const streakFreezesToggle = document.getElementById('streakFreezesToggle');
+        if (streakFreezesToggle) {
+            streakFreezesToggle.addEventListener('change', () => {
+                storage.updateSettings({ streakFreezes: streakFreezesToggle.checked });
+                this.refreshUI();
+            });
+        }
+
+        // Storage usage and remedies
+        const storageBtn = document.getElementById('storageBtn');
+        if (storageBtn) {
+            storageBtn.addEventListener('click', () => this.openStorage());
+        }
+        const closeStorageModal = document.getElementById('closeStorageModal');
+        if (closeStorageModal) {
+            closeStorageModal.addEventListener('click', () => this.closeModal('storageModal'));
+        }
+        const storageExportBtn = document.getElementById('storageExportBtn');
+        if (storageExportBtn) {
+            storageExportBtn.addEventListener('click', () => window.habitTrackerApp.exportData());
+        }
+        const deleteSnapshotsBtn = document.getElementById('deleteSnapshotsBtn');
+        if (deleteSnapshotsBtn) {
+            deleteSnapshotsBtn.addEventListener('click', async () => {
+                if (await window.habitTrackerApp.deleteSnapshots()) {
+                    this.renderStorageUsage();
+                }
+            });
+        }
+        const compactHistoryBtn = document.getElementById('compactHistoryBtn');
+        if (compactHistoryBtn) {
+            compactHistoryBtn.addEventListener('click', async () => {
+                const cutoff = new Date();
+                cutoff.setFullYear(cutoff.getFullYear() - parseInt(document.getElementById('compactAge').value, 10));
+                if (await window.habitTrackerApp.compactHistory(dateUtils.toDateKey(cutoff))) {
+                    this.renderStorageUsage();
+                }
+            });
+        }
+
+        // Passphrase dialog
+        const passphraseForm = document.getElementById('passphraseForm');
+        if (passphraseForm) {
+            passphraseForm.addEventListener('submit', (e) => this.handlePassphraseSubmit(e));
+        }
+        ['closePassphraseModal', 'passphraseCancel'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => this.closeModal('passphraseModal'));
+            }
+        });
 
         // Habit form submission
         const habitForm = document.getElementById('habitForm');
@@ -46,6 +173,110 @@ class UIManager {
             habitForm.addEventListener('submit', (e) => this.handleHabitFormSubmit(e));
         }
 
+        // Show the inputs for the chosen schedule type
+        const scheduleType = document.getElementById('habitScheduleType');
+        if (scheduleType) {
+            scheduleType.addEventListener('change', () => this.updateScheduleInputs());
+        }
+
+        // Quit habits have no schedule or target
+        const habitKind = document.getElementById('habitKind');
+        if (habitKind) {
+            habitKind.addEventListener('change', () => this.updateKindInputs());
+        }
+
+        // Completion notes and note search
+        const notesBtn = document.getElementById('notesBtn');
+        if (notesBtn) {
+            notesBtn.addEventListener('click', () => this.openNotes());
+        }
+        const closeNotesModal = document.getElementById('closeNotesModal');
+        if (closeNotesModal) {
+            closeNotesModal.addEventListener('click', () => this.closeModal('notesModal'));
+        }
+        const notesSearch = document.getElementById('notesSearch');
+        if (notesSearch) {
+            notesSearch.addEventListener('input', () => this.renderNotesResults());
+        }
+        const closeNoteModal = document.getElementById('closeNoteModal');
+        if (closeNoteModal) {
+            closeNoteModal.addEventListener('click', () => this.closeModal('noteModal'));
+        }
+        const noteForm = document.getElementById('noteForm');
+        if (noteForm) {
+            noteForm.addEventListener('submit', (e) => this.handleNoteSubmit(e));
+        }
+
+        // Statistics dashboard
+        const statsBtn = document.getElementById('statsBtn');
+        if (statsBtn) {
+            statsBtn.addEventListener('click', () => this.openStatistics());
+        }
+        const closeStatsModal = document.getElementById('closeStatsModal');
+        if (closeStatsModal) {
+            closeStatsModal.addEventListener('click', () => this.closeModal('statsModal'));
+        }
+        document.querySelectorAll('[data-stats-range]').forEach(button => {
+            button.addEventListener('click', () => this.setStatsRange(button.dataset.statsRange));
+        });
+        const statsCustomRange = document.getElementById('statsCustomRange');
+        if (statsCustomRange) {
+            statsCustomRange.addEventListener('submit', (e) => this.handleStatsCustomRange(e));
+        }
+
+        // Weekly and monthly reports
+        const reportsBtn = document.getElementById('reportsBtn');
+        if (reportsBtn) {
+            reportsBtn.addEventListener('click', () => this.openReports());
+        }
+        const closeReportsModal = document.getElementById('closeReportsModal');
+        if (closeReportsModal) {
+            closeReportsModal.addEventListener('click', () => this.closeModal('reportsModal'));
+        }
+        const reportPeriod = document.getElementById('reportPeriod');
+        if (reportPeriod) {
+            reportPeriod.addEventListener('change', () => this.renderReport());
+        }
+        document.querySelectorAll('[data-report-format]').forEach(button => {
+            button.addEventListener('click', () => window.habitTrackerApp.exportReport(this.currentReport, button.dataset.reportFormat));
+        });
+        const weeklyReportToggle = document.getElementById('weeklyReportToggle');
+        if (weeklyReportToggle) {
+            weeklyReportToggle.addEventListener('change', () => {
+                storage.updateSettings({ weeklyReport: weeklyReportToggle.checked });
+                // Start with next week's report rather than popping one up now
+                if (weeklyReportToggle.checked) {
+                    reportManager.markWeeklyReportShown();
+                }
+            });
+        }
+
+        // Tag grouping, management and suggestions
+        const groupByTagToggle = document.getElementById('groupByTagToggle');
+        if (groupByTagToggle) {
+            groupByTagToggle.addEventListener('change', () => {
+                storage.updateSettings({ groupByTag: groupByTagToggle.checked });
+                this.renderHabitsList();
+            });
+        }
+        const manageTagsBtn = document.getElementById('manageTagsBtn');
+        if (manageTagsBtn) {
+            manageTagsBtn.addEventListener('click', () => this.openTags());
+        }
+        const closeTagsModal = document.getElementById('closeTagsModal');
+        if (closeTagsModal) {
+            closeTagsModal.addEventListener('click', () => this.closeModal('tagsModal'));
+        }
+        const habitTags = document.getElementById('habitTags');
+        if (habitTags) {
+            habitTags.addEventListener('input', () => this.renderTagSuggestions());
+        }
+
+        // Challenge length shortcuts
+        document.querySelectorAll('[data-challenge-days]').forEach(button => {
+            button.addEventListener('click', () => this.setChallengeLength(Number(button.dataset.challengeDays)));
+        });
+
         // Close modals when clicking outside (DaisyUI modal backdrop)
         window.addEventListener('click', (e) => {
             if (e.target.classList.contains('modal')) {
@@ -53,10 +284,29 @@ class UIManager {
             }
         });
 
-        // Escape key to close modals
+        // Escape key to close modals, Ctrl+Z / Ctrl+Shift+Z to undo and redo
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeAllModals();
+                return;
+            }
+
+            // Leave text fields to their native undo
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                return;
+            }
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+                e.preventDefault();
+                this.redo();
             }
         });
     }
@@ -95,6 +345,8 @@ class UIManager {
         if (!habit) return;
 
         const stats = habitManager.getHabitStats(habitId);
+        this.currentDetailsHabitId = habitId;
+        this.heatmapYear = dateUtils.parse(dateUtils.today()).getFullYear();
         this.populateHabitDetails(habit, stats);
         this.openModal('detailsModal');
     }
@@ -120,6 +372,9 @@ class UIManager {
      * Close modal by ID
      */
     closeModal(modalId) {
+        if (modalId === 'passphraseModal') {
+            this.cancelPassphraseRequest();
+        }
         const modal = document.getElementById(modalId);
         if (modal) {
             modal.classList.remove('modal-open');
@@ -131,6 +386,7 @@ class UIManager {
      * Close all modals
      */
     closeAllModals() {
+        this.cancelPassphraseRequest();
         const modals = document.querySelectorAll('.modal');
         modals.forEach(modal => {
             modal.classList.remove('modal-open');
@@ -147,11 +403,90 @@ class UIManager {
             form.reset();
             document.getElementById('habitName').value = '';
             document.getElementById('habitDescription').value = '';
-            document.getElementById('habitFrequency').value = 'daily';
             document.getElementById('reminderTime').value = '';
             document.getElementById('reminderMessage').value = 'Time to complete your habit!';
             document.getElementById('habitTags').value = '';
+            document.getElementById('habitTarget').value = '';
+            document.getElementById('habitUnit').value = '';
+            document.getElementById('habitKind').value = 'build';
+            document.getElementById('habitCleanSince').value = '';
+            document.getElementById('habitStartDate').value = '';
+            document.getElementById('habitEndDate').value = '';
+            document.getElementById('habitGoal').value = '';
+            this.setScheduleInputs({ type: 'daily' });
+            this.renderTagSuggestions();
+            this.renderReminderSuggestion();
+            this.updateKindInputs();
+        }
+    }
+
+    /**
+     * Fill the schedule inputs of the habit form
+     */
+    setScheduleInputs(schedule) {
+        document.getElementById('habitScheduleType').value = schedule.type;
+        document.querySelectorAll('input[name="scheduleDay"]').forEach(checkbox => {
+            checkbox.checked = schedule.type === 'weekdays' && schedule.days.includes(Number(checkbox.value));
+        });
+        document.getElementById('scheduleCount').value = schedule.type === 'timesPerWeek' ? schedule.count : 3;
+        document.getElementById('scheduleInterval').value = schedule.type === 'everyNDays' ? schedule.interval : 2;
+        this.updateScheduleInputs();
+    }
+
+    /**
+     * Show only the inputs that belong to the selected schedule type
+     */
+    updateScheduleInputs() {
+        const type = document.getElementById('habitScheduleType').value;
+        const inputs = { weekdays: 'scheduleWeekdays', timesPerWeek: 'scheduleTimesPerWeek', everyNDays: 'scheduleEveryNDays' };
+        Object.entries(inputs).forEach(([scheduleType, id]) => {
+            document.getElementById(id).classList.toggle('hidden', scheduleType !== type);
+        });
+    }
+
+    /**
+     * Swap the schedule and target inputs for the "clean since" day on quit habits
+     */
+    updateKindInputs() {
+        const quit = document.getElementById('habitKind').value === 'quit';
+        document.getElementById('quitFields').classList.toggle('hidden', !quit);
+        document.getElementById('scheduleFields').classList.toggle('hidden', quit);
+        document.getElementById('targetFields').classList.toggle('hidden', quit);
+    }
+
+    /**
+     * Fill in a challenge window of a number of days, starting today unless a start date is set
+     */
+    setChallengeLength(days) {
+        const startInput = document.getElementById('habitStartDate');
+        if (!startInput.value) {
+            startInput.value = dateUtils.today();
+        }
+        document.getElementById('habitEndDate').value = dateUtils.addDays(startInput.value, days - 1);
+    }
+
+    /**
+     * Read the schedule from the habit form
+     * An every-N-days schedule keeps its start day when only the interval changes
+     */
+    readScheduleInputs() {
+        const type = document.getElementById('habitScheduleType').value;
+        if (type === 'weekdays') {
+            const days = Array.from(document.querySelectorAll('input[name="scheduleDay"]:checked'))
+                .map(checkbox => Number(checkbox.value));
+            return { type, days };
+        }
+        if (type === 'timesPerWeek') {
+            return { type, count: parseInt(document.getElementById('scheduleCount').value, 10) };
+        }
+        if (type === 'everyNDays') {
+            const previous = this.currentEditingHabit && this.currentEditingHabit.schedule;
+            const startDate = previous && previous.type === 'everyNDays' && previous.startDate
+                ? previous.startDate
+                : document.getElementById('habitStartDate').value || dateUtils.today();
+            return { type, interval: parseInt(document.getElementById('scheduleInterval').value, 10), startDate };
         }
+        return { type: 'daily' };
     }
 
     /**
@@ -160,10 +495,20 @@ class UIManager {
     populateHabitForm(habit) {
         document.getElementById('habitName').value = habit.name || '';
         document.getElementById('habitDescription').value = habit.description || '';
-        document.getElementById('habitFrequency').value = habit.frequency || 'daily';
         document.getElementById('reminderTime').value = habit.reminderTime || '';
         document.getElementById('reminderMessage').value = habit.reminderMessage || 'Time to complete your habit!';
         document.getElementById('habitTags').value = (habit.tags || []).join(', ');
+        document.getElementById('habitTarget').value = habit.target || '';
+        document.getElementById('habitUnit').value = habit.unit || '';
+        document.getElementById('habitKind').value = habitManager.isQuitHabit(habit) ? 'quit' : 'build';
+        document.getElementById('habitCleanSince').value = habit.cleanSince || '';
+        document.getElementById('habitStartDate').value = habit.startDate || '';
+        document.getElementById('habitEndDate').value = habit.endDate || '';
+        document.getElementById('habitGoal').value = habit.goal || '';
+        this.setScheduleInputs(habitManager.getSchedule(habit));
+        this.renderTagSuggestions();
+        this.renderReminderSuggestion(habit);
+        this.updateKindInputs();
     }
 
     /**
@@ -175,13 +520,27 @@ class UIManager {
         const formData = new FormData(e.target);
         const tagsRaw = document.getElementById('habitTags').value;
         const tags = tagsRaw.split(',').map(t => t.trim()).filter(Boolean);
+        const kind = document.getElementById('habitKind').value;
+        const quit = kind === 'quit';
+        const schedule = quit ? { type: 'daily' } : this.readScheduleInputs();
+        const targetRaw = quit ? '' : document.getElementById('habitTarget').value.trim();
+        const goalRaw = document.getElementById('habitGoal').value.trim();
         const habitData = {
             name: formData.get('habitName') || document.getElementById('habitName').value,
             description: formData.get('habitDescription') || document.getElementById('habitDescription').value,
-            frequency: formData.get('habitFrequency') || document.getElementById('habitFrequency').value,
+            schedule,
+            // Kept for older exports and tools that only know daily/weekly
+            frequency: schedule.type === 'timesPerWeek' ? 'weekly' : 'daily',
             reminderTime: document.getElementById('reminderTime').value,
             reminderMessage: document.getElementById('reminderMessage').value,
-            tags: tags
+            tags: tags,
+            target: targetRaw ? Number(targetRaw) : null,
+            unit: quit ? '' : document.getElementById('habitUnit').value.trim(),
+            kind,
+            cleanSince: quit ? document.getElementById('habitCleanSince').value || null : null,
+            startDate: document.getElementById('habitStartDate').value || null,
+            endDate: document.getElementById('habitEndDate').value || null,
+            goal: goalRaw ? Number(goalRaw) : null
         };
 
         // Validate form data
@@ -196,7 +555,7 @@ class UIManager {
                 // Update existing habit
                 const updatedHabit = habitManager.updateHabit(this.currentEditingHabit.id, habitData);
                 if (updatedHabit) {
-                    this.showToast('Habit updated successfully!', 'success');
+                    this.showToast('Habit updated successfully!', 'success', this.undoAction());
                     this.closeModal('habitModal');
                     this.refreshUI();
                 }
@@ -204,7 +563,7 @@ class UIManager {
                 // Add new habit
                 const newHabit = habitManager.addHabit(habitData);
                 if (newHabit) {
-                    this.showToast('Habit added successfully!', 'success');
+                    this.showToast('Habit added successfully!', 'success', this.undoAction());
                     this.closeModal('habitModal');
                     this.refreshUI();
                 }
@@ -242,42 +601,79 @@ class UIManager {
         const detailsContainer = document.getElementById('habitDetails');
         if (!detailsContainer) return;
 
-        const completions = storage.getHabitCompletions(habit.id, 7);
-        const completionGrid = this.createCompletionGrid(completions);
+        const completions = habitManager.getDayStatuses(habit.id, 7);
+        const completionGrid = this.createCompletionGrid(completions, habit);
+        const unit = habit.unit ? ` ${this.escapeHtml(habit.unit)}` : '';
+        const quit = habitManager.isQuitHabit(habit);
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
 
         detailsContainer.innerHTML = `
             <div class="space-y-6">
                 <div class="card bg-base-200">
                     <div class="card-body">
-                        <h3 class="card-title text-primary">${habit.name}</h3>
-                        ${habit.description ? `<p class="text-base-content/70">${habit.description}</p>` : ''}
+                        <h3 class="card-title text-primary">${this.escapeHtml(habit.name)}${habit.archived ? ' <span class="badge badge-ghost">Archived</span>' : ''}</h3>
+                        ${habit.description ? `<p class="text-base-content/70">${this.escapeHtml(habit.description)}</p>` : ''}
                         <div class="grid grid-cols-2 gap-4 text-sm">
+                            ${quit ? `
+                            <div><span class="font-semibold">Clean since:</span> ${formatDay(habitManager.getCleanSince(habit))}</div>
+                            <div><span class="font-semibold">Last relapse:</span> ${stats.relapses.lastRelapse ? formatDay(stats.relapses.lastRelapse) : 'Never'}</div>
+                            <div><span class="font-semibold">Relapses (30 days):</span> ${stats.relapses.last30}</div>
+                            ` : `
                             <div>
-                                <span class="font-semibold">Frequency:</span> ${habit.frequency}
-                            </div>
+                                <span class="font-semibold">Schedule:</span> ${habitManager.describeSchedule(habit)}
+                            </div>`}
                             ${habit.reminderTime ? `<div><span class="font-semibold">Reminder:</span> ${habit.reminderTime}</div>` : ''}
+                            ${stats.amounts ? `<div><span class="font-semibold">Target:</span> ${habit.target}${unit} per day</div>` : ''}
                         </div>
                     </div>
                 </div>
                 
                 <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
                     <div class="stat bg-base-200 rounded-lg p-4">
-                        <div class="stat-title text-xs">Current Streak</div>
-                        <div class="stat-value text-lg text-primary">${stats.currentStreak} days</div>
+                        <div class="stat-title text-xs">${quit ? 'Days Clean' : 'Current Streak'}</div>
+                        <div class="stat-value text-lg text-primary">${habitManager.formatPeriods(stats.currentStreak, stats.periodUnit)}</div>
                     </div>
                     <div class="stat bg-base-200 rounded-lg p-4">
-                        <div class="stat-title text-xs">Longest Streak</div>
-                        <div class="stat-value text-lg text-primary">${stats.longestStreak} days</div>
+                        <div class="stat-title text-xs">${quit ? 'Longest Run' : 'Longest Streak'}</div>
+                        <div class="stat-value text-lg text-primary">${habitManager.formatPeriods(stats.longestStreak, stats.periodUnit)}</div>
                     </div>
                     <div class="stat bg-base-200 rounded-lg p-4">
-                        <div class="stat-title text-xs">30-Day Success</div>
+                        <div class="stat-title text-xs">${quit ? '30-Day Clean' : '30-Day Success'}</div>
                         <div class="stat-value text-lg text-primary">${stats.completionRate30}%</div>
                     </div>
                     <div class="stat bg-base-200 rounded-lg p-4">
-                        <div class="stat-title text-xs">7-Day Success</div>
+                        <div class="stat-title text-xs">${quit ? '7-Day Clean' : '7-Day Success'}</div>
                         <div class="stat-value text-lg text-primary">${stats.completionRate7}%</div>
                     </div>
                 </div>
+                ${stats.challenge ? `
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm">Challenge: ${formatDay(stats.challenge.start)}${stats.challenge.end ? ` - ${formatDay(stats.challenge.end)}` : ''}</h4>
+                        ${this.createChallengeProgress(habit, stats.challenge, stats.periodUnit)}
+                    </div>
+                </div>
+                ` : ''}
+                ${stats.amounts ? `
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <div class="stat bg-base-200 rounded-lg p-4">
+                        <div class="stat-title text-xs">30-Day Total</div>
+                        <div class="stat-value text-lg text-primary">${stats.amounts.total.toLocaleString()}${unit}</div>
+                    </div>
+                    <div class="stat bg-base-200 rounded-lg p-4" title="Average over every day of the last 30 days">
+                        <div class="stat-title text-xs">Daily Average</div>
+                        <div class="stat-value text-lg text-primary">${stats.amounts.dailyAverage.toLocaleString()}${unit}</div>
+                    </div>
+                    <div class="stat bg-base-200 rounded-lg p-4">
+                        <div class="stat-title text-xs">Best Day (30d)</div>
+                        <div class="stat-value text-lg text-primary">${stats.amounts.bestDay.toLocaleString()}${unit}</div>
+                    </div>
+                    <div class="stat bg-base-200 rounded-lg p-4">
+                        <div class="stat-title text-xs">All-Time Total</div>
+                        <div class="stat-value text-lg text-primary">${stats.amounts.allTimeTotal.toLocaleString()}${unit}</div>
+                    </div>
+                </div>
+                ` : ''}
                 
                 <div class="card bg-base-200">
                     <div class="card-body">
@@ -285,18 +681,52 @@ class UIManager {
                         ${completionGrid}
                     </div>
                 </div>
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm">Year</h4>
+                        ${this.createYearHeatmap(habit, this.heatmapYear || dateUtils.parse(dateUtils.today()).getFullYear())}
+                    </div>
+                </div>
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm">Patterns</h4>
+                        ${this.createPatternsSection(habitManager.getWeekdayStats(habit.id), habitManager.getTimeOfDayStats(habit.id), habitManager.isQuitHabit(habit))}
+                    </div>
+                </div>
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm">Insights</h4>
+                        ${this.createInsightsList(habitManager.getCorrelations(habit.id), habit.id, 3)}
+                    </div>
+                </div>
+                ${this.createNotesSection(habit)}
                 
+                ${habit.archived ? `
+                <div class="flex gap-3 justify-center">
+                    <button class="btn btn-primary" onclick="uiManager.restoreHabit('${habit.id}')">
+                        Restore Habit
+                    </button>
+                    <button class="btn btn-error" onclick="uiManager.deleteHabit('${habit.id}')">
+                        Delete Permanently
+                    </button>
+                </div>
+                ` : `
                 <div class="flex gap-3 justify-center">
+                    ${quit ? `
+                    <button class="btn btn-error btn-outline" onclick="uiManager.toggleRelapse('${habit.id}')">
+                        ${habitManager.isCompleted(habit.id) ? 'Remove Today\'s Relapse' : 'Log Relapse Today'}
+                    </button>` : `
                     <button class="btn btn-primary" onclick="uiManager.toggleHabitCompletion('${habit.id}')">
                         ${habitManager.isCompleted(habit.id) ? 'Mark Incomplete' : 'Mark Complete'}
-                    </button>
+                    </button>`}
                     <button class="btn btn-outline" onclick="uiManager.showEditHabitModal('${habit.id}')">
                         Edit Habit
                     </button>
-                    <button class="btn btn-error" onclick="uiManager.deleteHabit('${habit.id}')">
-                        Delete Habit
+                    <button class="btn btn-warning" onclick="uiManager.archiveHabit('${habit.id}')">
+                        Archive Habit
                     </button>
                 </div>
+                `}
             </div>
         `;
     }
@@ -304,24 +734,25 @@ class UIManager {
     /**
      * Create completion grid for habit details
      */
-    createCompletionGrid(completions) {
-        const today = new Date().toISOString().split('T')[0];
+    createCompletionGrid(completions, habit = null) {
+        const today = dateUtils.today();
         
         return `
             <div class="grid grid-cols-7 gap-1">
                 ${completions.map(completion => {
-                    const date = new Date(completion.date);
+                    const date = dateUtils.parse(completion.date);
                     const isToday = completion.date === today;
-                    const isCompleted = completion.completed;
                     
+                    // Logged days open their note
+                    const noteAction = habit && completion.logged && !habit.archived
+                        ? ` onclick="uiManager.openCompletionNote('${habit.id}', '${completion.date}')"`
+                        : '';
                     return `
-                        <div class="w-8 h-8 rounded-lg flex items-center justify-center text-xs font-medium ${
-                            isCompleted 
-                                ? 'bg-success text-success-content' 
-                                : 'bg-base-300 text-base-content/60'
-                        } ${isToday ? 'ring-2 ring-primary' : ""}" 
-                             title="${date.toLocaleDateString()}">
-                            ${date.getDate()}
+                        <div class="relative w-8 h-8 rounded-lg flex items-center justify-center text-xs font-medium ${
+                            this.getDayStatusClass(completion.status)
+                        } ${isToday ? 'ring-2 ring-primary' : ""} ${noteAction ? 'cursor-pointer' : ''}"${this.getDayProgressStyle(completion)}${noteAction}
+                             title="${this.getDayTitle(completion, today, habit)}">
+                            ${date.getDate()}${this.getNoteMarker(completion)}
                         </div>
                     `;
                 }).join('')}
@@ -329,104 +760,1541 @@ class UIManager {
         `;
     }
 
+    /**
+     * A year of a habit as a heatmap: one column per week from Monday to Sunday, labelled by month
+     * Measurable habits are shaded by the share of the target reached. Clicking a past day toggles it.
+     */
+    createYearHeatmap(habit, year) {
+        const today = dateUtils.today();
+        const first = `${year}-01-01`;
+        const last = `${year}-12-31`;
+        const start = dateUtils.startOfWeek(first);
+        const weeks = (dateUtils.daysBetween(start, dateUtils.startOfWeek(last)) / 7) + 1;
+        const days = first <= today ? habitManager.getDayStatusesBetween(habit.id, first, last < today ? last : today) : [];
+        const byDate = new Map(days.map(day => [day.date, day]));
+        const firstYear = Number(habitManager.getHistoryStart(habit).slice(0, 4));
+        const thisYear = Number(today.slice(0, 4));
+        const quit = habitManager.isQuitHabit(habit);
+
+        const cells = [];
+        const months = [];
+        for (let index = 0; index < weeks * 7; index++) {
+            const date = dateUtils.addDays(start, index);
+            if (date.endsWith('-01') && date >= first && date <= last) {
+                const label = dateUtils.parse(date).toLocaleDateString(undefined, { month: 'short' });
+                months.push(`<span style="grid-column: ${Math.floor(index / 7) + 1} / span 4">${label}</span>`);
+            }
+
+            const day = byDate.get(date);
+            if (date < first || date > last) {
+                cells.push('<div></div>');
+            } else if (!day) {
+                cells.push(`<div class="rounded-sm border border-base-300" title="${dateUtils.parse(date).toLocaleDateString()}"></div>`);
+            } else {
+                const action = habit.archived ? '' : ` onclick="uiManager.toggleHeatmapDay('${habit.id}', '${date}')"`;
+                cells.push(`<div class="rounded-sm ${this.getHeatmapClass(day)} ${date === today ? 'ring-1 ring-primary' : ''} ${action ? 'cursor-pointer hover:ring-1 hover:ring-base-content' : ''}"${action} title="${this.getDayTitle(day, today, habit)}"></div>`);
+            }
+        }
+
+        const count = days.filter(day => day.status === 'done').length;
+        const summary = quit ? `${count} clean day${count === 1 ? '' : 's'}` : `${count} day${count === 1 ? '' : 's'} done`;
+        const cell = '11px';
+        return `
+                        <div class="flex items-center justify-between mb-2">
+                            <button class="btn btn-ghost btn-xs" onclick="uiManager.setHeatmapYear(${year - 1})" title="Previous year" ${year <= firstYear ? 'disabled' : ''}><i class="fas fa-chevron-left"></i></button>
+                            <span class="font-semibold">${year} <span class="font-normal text-sm text-base-content/60">· ${summary}</span></span>
+                            <button class="btn btn-ghost btn-xs" onclick="uiManager.setHeatmapYear(${year + 1})" title="Next year" ${year >= thisYear ? 'disabled' : ''}><i class="fas fa-chevron-right"></i></button>
+                        </div>
+                        <div class="overflow-x-auto">
+                            <div class="inline-flex gap-1 text-[10px] text-base-content/60">
+                                <div class="grid gap-[2px] pt-4" style="grid-template-rows: repeat(7, ${cell})">
+                                    ${['Mon', '', 'Wed', '', 'Fri', '', ''].map(label => `<span class="leading-[11px]">${label}</span>`).join('')}
+                                </div>
+                                <div>
+                                    <div class="grid gap-[2px] h-4" style="grid-template-columns: repeat(${weeks}, ${cell})">${months.join('')}</div>
+                                    <div class="grid gap-[2px] grid-flow-col" style="grid-template-rows: repeat(7, ${cell}); grid-auto-columns: ${cell}">
+                                        ${cells.join('')}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                        <p class="text-xs text-base-content/60 mt-2">${habit.archived ? 'Restore the habit to change its history.' : `Click a day to ${quit ? 'log or remove a relapse' : 'mark it done or not done'}.`}</p>`;
+    }
+
+    /**
+     * Heatmap cell colour of a day; measurable habits get darker as more of the target is reached
+     */
+    getHeatmapClass(day) {
+        if (day.progress > 0 && day.progress < 1) {
+            return day.progress <= 0.25 ? 'bg-success/25' : day.progress <= 0.5 ? 'bg-success/50' : 'bg-success/75';
+        }
+        switch (day.status) {
+            case 'done':
+                return 'bg-success';
+            case 'met':
+                return 'bg-success/20';
+            case 'relapse':
+                return 'bg-error';
+            case 'excused':
+                return 'bg-info/40';
+            case 'off':
+                return 'bg-base-100';
+            default:
+                return 'bg-base-300';
+        }
+    }
+
+    /**
+     * Show another year in the details heatmap
+     */
+    setHeatmapYear(year) {
+        this.heatmapYear = year;
+        this.refreshOpenModals();
+    }
+
+    /**
+     * Toggle a past day from the heatmap: completes or clears it, or logs or removes a relapse
+     */
+    toggleHeatmapDay(habitId, date) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit || habit.archived || date > dateUtils.today()) return;
+
+        const formatted = dateUtils.parse(date).toLocaleDateString();
+        try {
+            if (habitManager.isQuitHabit(habit)) {
+                if (habitManager.isCompleted(habitId, date)) {
+                    habitManager.clearRelapse(habitId, date);
+                    this.showToast(`Relapse on ${formatted} removed`, 'info', this.undoAction());
+                } else {
+                    habitManager.logRelapse(habitId, date);
+                    this.showToast(`Relapse logged on ${formatted}`, 'info', this.undoAction());
+                }
+            } else if (habitManager.isCompleted(habitId, date)) {
+                habitManager.markIncomplete(habitId, date);
+                this.showToast(`${habit.name} marked as not done on ${formatted}`, 'info', this.undoAction());
+            } else {
+                habitManager.markComplete(habitId, date);
+                this.showToast(`${habit.name} marked as done on ${formatted}`, 'success', this.undoAction());
+            }
+        } catch (error) {
+            console.error('Error updating day:', error);
+            this.showToast('Error updating day. Please try again.', 'error');
+        }
+
+        this.refreshOpenModals();
+        this.refreshUI();
+    }
+
+    /**
+     * Rating trend and recent notes of a habit for its details
+     */
+    createNotesSection(habit) {
+        const trend = habitManager.getRatingTrend(habit.id, 90);
+        const notes = habitManager.getCompletionNotes(habit.id).slice(0, 10);
+        if (notes.length === 0) return '';
+
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
+        return `
+                ${trend.points.length > 0 ? `
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm justify-between">
+                            <span>Mood / Effort (90 days)</span>
+                            <span class="badge badge-outline" title="Average rating">⌀ ${trend.average} / 5</span>
+                        </h4>
+                        ${this.createRatingTrendChart(trend)}
+                    </div>
+                </div>
+                ` : ''}
+                <div class="card bg-base-200">
+                    <div class="card-body">
+                        <h4 class="card-title text-sm">Notes</h4>
+                        <div class="space-y-2">
+                            ${notes.map(item => `
+                            <div class="flex items-start gap-3 text-sm">
+                                <span class="font-semibold whitespace-nowrap">${formatDay(item.date)}</span>
+                                <span title="${item.rating ? `Rated ${item.rating} of 5` : 'No rating'}">${item.rating ? this.RATING_EMOJI[item.rating - 1] : ''}</span>
+                                <span class="flex-1 break-words">${this.escapeHtml(item.note)}</span>
+                                ${habit.archived ? '' : `<button class="btn btn-ghost btn-xs" onclick="uiManager.openCompletionNote('${habit.id}', '${item.date}')" title="Edit note"><i class="fas fa-edit"></i></button>`}
+                            </div>`).join('')}
+                        </div>
+                    </div>
+                </div>`;
+    }
+
+    /**
+     * Line chart of ratings over time, drawn as inline SVG
+     */
+    createRatingTrendChart(trend) {
+        const width = 300, height = 100, pad = 10;
+        const span = Math.max(dateUtils.daysBetween(trend.from, dateUtils.today()), 1);
+        const x = (date) => (pad + (dateUtils.daysBetween(trend.from, date) / span) * (width - 2 * pad)).toFixed(1);
+        const y = (rating) => (height - pad - ((rating - 1) / 4) * (height - 2 * pad)).toFixed(1);
+
+        return `
+                        <svg viewBox="0 0 ${width} ${height}" class="w-full h-28" role="img" aria-label="Ratings over the last 90 days">
+                            ${[1, 2, 3, 4, 5].map(rating => `<line x1="${pad}" x2="${width - pad}" y1="${y(rating)}" y2="${y(rating)}" stroke="currentColor" stroke-opacity="0.1"/>`).join('')}
+                            <line x1="${pad}" x2="${width - pad}" y1="${y(trend.average)}" y2="${y(trend.average)}" stroke="currentColor" stroke-opacity="0.4" stroke-dasharray="4 3"/>
+                            <polyline points="${trend.points.map(point => `${x(point.date)},${y(point.rating)}`).join(' ')}" fill="none" stroke="oklch(var(--p))" stroke-width="2" stroke-linejoin="round"/>
+                            ${trend.points.map(point => `<circle cx="${x(point.date)}" cy="${y(point.rating)}" r="3" fill="oklch(var(--p))"><title>${dateUtils.parse(point.date).toLocaleDateString()}: ${point.rating}/5</title></circle>`).join('')}
+                        </svg>`;
+    }
+
+    /**
+     * Hover text of a grid cell: the day, its status and any rating or note, escaped for an attribute
+     */
+    getDayTitle(completion, today = dateUtils.today(), habit = null) {
+        let title = `${dateUtils.parse(completion.date).toLocaleDateString()} - ${this.getDayStatusLabel(completion, today, habit)}`;
+        if (completion.rating) {
+            title += ` · ${this.RATING_EMOJI[completion.rating - 1]} ${completion.rating}/5`;
+        }
+        if (completion.note) {
+            title += `\n${completion.note}`;
+        }
+        return this.escapeHtml(title);
+    }
+
+    /**
+     * Small dot in the corner of a grid cell whose day has a note
+     */
+    getNoteMarker(completion) {
+        return completion.note ? '<span class="absolute top-0.5 right-0.5 w-1.5 h-1.5 rounded-full bg-warning"></span>' : '';
+    }
+
+    /**
+     * Grid cell colours for a day status; days a schedule skips are dimmed
+     */
+    getDayStatusClass(status) {
+        switch (status) {
+            case 'done':
+                return 'bg-success text-success-content';
+            case 'met':
+                return 'bg-success/20 text-base-content/60';
+            case 'off':
+                return 'bg-base-200 text-base-content/30';
+            case 'relapse':
+                return 'bg-error text-error-content';
+            case 'excused':
+                return 'bg-info/30 text-info';
+            default:
+                return 'bg-base-300 text-base-content/60';
+        }
+    }
+
+    getDayStatusLabel(completion, today = dateUtils.today(), habit = null) {
+        const amount = habit && completion.amount > 0 ? ` (${habitManager.formatAmount(habit, completion.amount)})` : '';
+        switch (completion.status) {
+            case 'done':
+                return habitManager.isQuitHabit(habit) ? 'Clean' : `Completed${amount}`;
+            case 'relapse':
+                return 'Relapse';
+            case 'excused':
+                return { rest: 'Rest day', vacation: 'Vacation', freeze: 'Streak freeze used' }[completion.excuse] || 'Excused';
+            case 'met':
+                return `Target already met${amount}`;
+            case 'off':
+                return habitManager.isQuitHabit(habit) ? 'Not tracked yet' : `Not scheduled${amount}`;
+            default:
+                return `${completion.date === today ? 'Due today' : 'Missed'}${amount}`;
+        }
+    }
+
+    /**
+     * Fill a grid cell from the bottom up with the share of a measurable target logged that day
+     */
+    getDayProgressStyle(completion) {
+        if (completion.status === 'done' || !(completion.progress > 0)) return '';
+        const percent = Math.round(completion.progress * 100);
+        return ` style="background-image: linear-gradient(to top, oklch(var(--su) / 0.6) ${percent}%, transparent ${percent}%)"`;
+    }
+
     /**
      * Toggle habit completion for today
      */
     toggleHabitCompletion(habitId) {
         const isCompleted = habitManager.isCompleted(habitId);
         const habit = habitManager.getHabit(habitId);
-        // Confirmation popup before marking as done
-        if (!isCompleted) {
-            if (!confirm(`Mark '${habit.name}' as done for today?`)) {
-                return;
-            }
-        }
+        // A mis-tap is reverted with the toast's Undo button or Ctrl+Z
         if (isCompleted) {
             habitManager.markIncomplete(habitId);
-            this.showToast(`${habit.name} marked as incomplete`, 'info');
+            this.showToast(`${habit.name} marked as incomplete`, 'info', this.undoAction());
         } else {
             habitManager.markComplete(habitId);
-            this.showToast(`${habit.name} marked as complete!`, 'success');
-            
-            // Check for streak milestones
-            const stats = habitManager.getHabitStats(habitId);
-            if (stats.currentStreak % 7 === 0 && stats.currentStreak > 0) {
-                notificationManager.sendStreakNotification(habitId, stats.currentStreak);
-            }
-            // Confetti if all habits are done for today
-            setTimeout(() => {
-              const habits = habitManager.getHabits();
-              const allDone = habits.length > 0 && habits.every(h => habitManager.isCompleted(h.id));
-              if (allDone && window.confetti) {
-                window.confetti({
-                  particleCount: 120,
-                  spread: 80,
-                  origin: { y: 0.7 },
-                  colors: ['#a78bfa', '#38bdf8', '#f472b6', '#facc15', '#34d399']
-                });
-              }
-            }, 300);
+            this.showToast(`${habit.name} marked as complete!`, 'success', this.undoAction());
+            this.celebrateCompletion(habitId);
         }
         
         this.refreshUI();
     }
 
     /**
-     * Delete habit with confirmation
+     * Log today's relapse of a quit habit, or remove one logged by mistake
      */
-    deleteHabit(habitId) {
+    toggleRelapse(habitId) {
         const habit = habitManager.getHabit(habitId);
         if (!habit) return;
 
-        if (confirm(`Are you sure you want to delete "${habit.name}"? This action cannot be undone.`)) {
-            habitManager.deleteHabit(habitId);
-            notificationManager.clearReminder(habitId);
-            this.showToast('Habit deleted successfully', 'success');
-            this.closeModal('detailsModal');
-            this.refreshUI();
+        if (habitManager.isCompleted(habitId)) {
+            habitManager.clearRelapse(habitId);
+            this.showToast(`Relapse removed from ${habit.name}`, 'info', this.undoAction());
+        } else {
+            const record = habitManager.calculateLongestStreak(habitId);
+            habitManager.logRelapse(habitId);
+            this.showToast(`Relapse logged for ${habit.name}. Your record of ${habitManager.formatPeriods(record, 'day')} still stands - tomorrow is a fresh start`, 'info', this.undoAction());
         }
+
+        this.refreshUI();
     }
 
     /**
-     * Render habits list
+     * Log an amount for a measurable habit from the input on its card
      */
-    renderHabitsList() {
-        const habitsList = document.getElementById('habitsList');
-        if (!habitsList) return;
+    logHabitAmount(habitId, amount = null, source = null) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit) return;
 
-        const habits = habitManager.getHabits();
-        
-        if (habits.length === 0) {
-            habitsList.innerHTML = `
-                <div class="text-center py-12">
-                    <div class="text-6xl text-primary mb-4">
-                        <i class="fas fa-plus-circle"></i>
-                    </div>
-                    <h3 class="text-2xl font-bold text-primary mb-2">No habits yet</h3>
-                    <p class="text-base-content/70 mb-6">Start building your habits by adding your first one!</p>
-                    <button class="btn btn-primary btn-lg" onclick="uiManager.showAddHabitModal()">
-                        <i class="fas fa-plus"></i> Add Your First Habit
-                    </button>
-                </div>
-            `;
+        if (amount === null) {
+            // A habit can show up in several tag groups, so read the input of the card that was used
+            const card = source ? source.closest('[data-habit-id]') : document.querySelector(`[data-habit-id="${habitId}"]`);
+            const input = card && card.querySelector('[data-amount-input]');
+            amount = input ? Number(input.value) : NaN;
+        }
+        if (!amount || !isFinite(amount)) {
+            this.showToast('Enter an amount to log', 'warning');
             return;
         }
 
-        habitsList.innerHTML = habits.map(habit => {
-            const stats = habitManager.getHabitStats(habit.id);
-            const isCompletedToday = habitManager.isCompleted(habit.id);
-            const completions = storage.getHabitCompletions(habit.id, 7);
-            
-            return this.createHabitCard(habit, stats, isCompletedToday, completions);
-        }).join('');
+        const wasCompleted = habitManager.isCompleted(habitId);
+        const total = habitManager.logAmount(habitId, amount);
+        const unit = habit.unit ? ` ${habit.unit}` : '';
+        this.showToast(`${habit.name}: ${amount > 0 ? '+' : ''}${amount}${unit} (${habitManager.formatAmount(habit, total)})`, 'success', this.undoAction());
+        if (!wasCompleted && habitManager.isCompleted(habitId)) {
+            this.celebrateCompletion(habitId);
+        }
+
+        this.refreshUI();
     }
 
     /**
-     * Create habit card HTML
+     * Streak milestones and confetti after a habit is completed for today
      */
-    createHabitCard(habit, stats, isCompletedToday, completions) {
-        const completionGrid = this.createCompletionGrid(completions);
-        // Simple emoji/icon based on habit name (can be improved for user selection)
+    celebrateCompletion(habitId) {
+        // Check for streak milestones
+        const stats = habitManager.getHabitStats(habitId);
+        if (stats.currentStreak % 7 === 0 && stats.currentStreak > 0) {
+            notificationManager.sendStreakNotification(habitId, stats.currentStreak);
+        }
+        // Confetti once nothing is left due today
+        setTimeout(() => {
+          const today = dateUtils.today();
+          const habits = habitManager.getHabits();
+          const allDone = habits.length > 0 && habits.every(h => habitManager.getDayStatus(h, today) !== 'due');
+          if (allDone && window.confetti) {
+            window.confetti({
+              particleCount: 120,
+              spread: 80,
+              origin: { y: 0.7 },
+              colors: ['#a78bfa', '#38bdf8', '#f472b6', '#facc15', '#34d399']
+            });
+          }
+        }, 300);
+    }
+
+    /**
+     * Archive habit, hiding it from the list while keeping its history
+     */
+    archiveHabit(habitId) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit) return;
+
+        habitManager.archiveHabit(habitId);
+        this.showToast(`${habit.name} archived`, 'success', this.undoAction());
+        this.closeModal('detailsModal');
+        this.refreshUI();
+    }
+
+    /**
+     * Restore an archived habit to the active list
+     */
+    restoreHabit(habitId) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit) return;
+
+        habitManager.restoreHabit(habitId);
+        this.showToast(`${habit.name} restored`, 'success', this.undoAction());
+        this.closeModal('detailsModal');
+        this.refreshUI();
+    }
+
+    /**
+     * Delete habit with confirmation
+     */
+    deleteHabit(habitId) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit) return;
+
+        if (confirm(`Permanently delete "${habit.name}" and its history?`)) {
+            habitManager.deleteHabit(habitId);
+            notificationManager.clearReminder(habitId);
+            this.showToast('Habit deleted successfully', 'success', this.undoAction());
+            this.closeModal('detailsModal');
+            this.refreshUI();
+        }
+    }
+
+    /**
+     * Show the import preview dialog
+     */
+    showImportPreview(preview) {
+        const container = document.getElementById('importPreview');
+        if (!container) return;
+
+        const statusBadge = (item) => {
+            if (item.status === 'new') {
+                return '<span class="badge badge-success badge-sm">New</span>';
+            }
+            const label = item.conflict === 'id' ? 'Same id' : 'Same name';
+            return `<span class="badge badge-warning badge-sm" title="Matches existing habit &quot;${this.escapeHtml(item.existing.name)}&quot;">${label}</span>`;
+        };
+
+        const habitRows = preview.habits.map(item => `
+            <tr>
+                <td><input type="checkbox" class="checkbox checkbox-sm import-habit-checkbox" value="${this.escapeHtml(item.habit.id)}" checked disabled></td>
+                <td>${this.escapeHtml(item.habit.name)}</td>
+                <td>${statusBadge(item)}</td>
+                <td class="text-right">+${item.newCompletions} <span class="text-base-content/60">of ${item.totalCompletions}</span></td>
+            </tr>
+        `).join('');
+
+        const errorList = preview.errors.length > 0 ? `
+            <div class="alert alert-warning items-start">
+                <i class="fas fa-exclamation-triangle mt-1"></i>
+                <div>
+                    <div class="font-semibold">${preview.errors.length} malformed entr${preview.errors.length === 1 ? 'y' : 'ies'} will be skipped</div>
+                    <ul class="list-disc ml-4 text-sm">
+                        ${preview.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
+                    </ul>
+                </div>
+            </div>
+        ` : '';
+
+        container.innerHTML = `
+            <div class="space-y-4">
+                <div class="grid grid-cols-3 gap-4">
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-title text-xs">New Habits</div>
+                        <div class="stat-value text-lg text-primary">${preview.newHabits}</div>
+                    </div>
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-title text-xs">Conflicts</div>
+                        <div class="stat-value text-lg text-primary">${preview.conflicts}</div>
+                    </div>
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-title text-xs">Completions to Add</div>
+                        <div class="stat-value text-lg text-primary">${preview.completionsToAdd}</div>
+                    </div>
+                </div>
+                ${errorList}
+                <div class="space-y-1">
+                    <label class="label cursor-pointer justify-start gap-3">
+                        <input type="radio" name="importMode" value="merge" class="radio radio-primary radio-sm" checked>
+                        <span class="label-text"><span class="font-semibold">Merge</span> - add new habits and combine completions of matching ones</span>
+                    </label>
+                    <label class="label cursor-pointer justify-start gap-3">
+                        <input type="radio" name="importMode" value="selected" class="radio radio-primary radio-sm">
+                        <span class="label-text"><span class="font-semibold">Selected habits</span> - merge only the habits checked below</span>
+                    </label>
+                    <label class="label cursor-pointer justify-start gap-3">
+                        <input type="radio" name="importMode" value="replace" class="radio radio-primary radio-sm">
+                        <span class="label-text"><span class="font-semibold">Replace all</span> - discard current data and use the backup</span>
+                    </label>
+                </div>
+                <div class="overflow-x-auto max-h-64">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr><th></th><th>Habit</th><th>Status</th><th class="text-right">Completions</th></tr>
+                        </thead>
+                        <tbody>${habitRows}</tbody>
+                    </table>
+                </div>
+                <div class="flex gap-3 pt-2">
+                    <button class="btn btn-outline flex-1" onclick="uiManager.closeModal('importModal')">Cancel</button>
+                    <button class="btn btn-primary flex-1" onclick="uiManager.confirmImport()">Import</button>
+                </div>
+            </div>
+        `;
+
+        // Habit checkboxes only apply to the "selected habits" mode
+        container.querySelectorAll('input[name="importMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                const selectable = radio.value === 'selected';
+                container.querySelectorAll('.import-habit-checkbox').forEach(checkbox => {
+                    checkbox.disabled = !selectable;
+                });
+            });
+        });
+
+        this.openModal('importModal');
+    }
+
+    /**
+     * Apply the previewed import with the chosen mode
+     */
+    async confirmImport() {
+        const container = document.getElementById('importPreview');
+        const mode = container.querySelector('input[name="importMode"]:checked').value;
+        const selectedIds = Array.from(container.querySelectorAll('.import-habit-checkbox:checked'))
+            .map(checkbox => checkbox.value);
+
+        if (mode === 'replace' && !confirm('Replace all current habits and history with this backup?')) {
+            return;
+        }
+        if (mode === 'selected' && selectedIds.length === 0) {
+            this.showToast('Select at least one habit to import', 'warning');
+            return;
+        }
+
+        if (await window.habitTrackerApp.applyImport(mode, selectedIds)) {
+            this.closeModal('importModal');
+        }
+    }
+
+    /**
+     * Open the snapshot list
+     */
+    async openSnapshots() {
+        await this.renderSnapshotList();
+        this.openModal('snapshotsModal');
+    }
+
+    /**
+     * Render saved snapshots, newest first
+     */
+    async renderSnapshotList() {
+        const container = document.getElementById('snapshotsList');
+        if (!container) return;
+
+        let snapshots;
+        try {
+            snapshots = await storage.getSnapshots();
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            container.innerHTML = '<p class="text-error text-sm">Snapshots could not be loaded.</p>';
+            return;
+        }
+
+        if (snapshots.length === 0) {
+            container.innerHTML = '<p class="text-base-content/60 text-sm">No snapshots yet.</p>';
+            return;
+        }
+
+        container.innerHTML = snapshots.map(snapshot => `
+            <div class="flex items-center justify-between gap-3 bg-base-100 rounded-lg p-3">
+                <div>
+                    <p class="font-semibold">${new Date(snapshot.createdAt).toLocaleString()}</p>
+                    <p class="text-sm text-base-content/60">
+                        ${this.escapeHtml(snapshotManager.getReasonLabel(snapshot.reason))} ·
+                        ${snapshot.habitCount} habit(s), ${snapshot.completionCount} completion(s)
+                    </p>
+                </div>
+                <button class="btn btn-sm btn-outline btn-primary" onclick="uiManager.restoreSnapshot('${snapshot.id}')">
+                    <i class="fas fa-clock-rotate-left"></i> Restore
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Restore a snapshot after confirmation
+     */
+    async restoreSnapshot(snapshotId) {
+        if (!confirm('Replace all current habits and history with this snapshot? Your current data is snapshotted first.')) {
+            return;
+        }
+        if (await window.habitTrackerApp.restoreSnapshot(snapshotId)) {
+            this.closeModal('snapshotsModal');
+        }
+    }
+
+    /**
+     * Open the note dialog for a day a habit was logged on
+     */
+    openCompletionNote(habitId, date = dateUtils.today()) {
+        const habit = habitManager.getHabit(habitId);
+        const entry = storage.getCompletionEntry(habitId, date);
+        if (!habit || !entry) {
+            this.showToast('Log the day first to add a note', 'info');
+            return;
+        }
+
+        this.noteTarget = { habitId, date };
+        document.getElementById('noteContext').textContent = `${habit.name} - ${dateUtils.parse(date).toLocaleDateString()}`;
+        document.getElementById('noteText').value = entry.note || '';
+        document.querySelectorAll('input[name="noteRating"]').forEach(radio => {
+            radio.checked = radio.value === String(entry.rating || '');
+        });
+        this.openModal('noteModal');
+        document.getElementById('noteText').focus();
+    }
+
+    /**
+     * Save the note and rating from the note dialog
+     */
+    handleNoteSubmit(e) {
+        e.preventDefault();
+        if (!this.noteTarget) return;
+
+        const rating = document.querySelector('input[name="noteRating"]:checked');
+        const details = {
+            note: document.getElementById('noteText').value.trim(),
+            rating: rating && rating.value ? Number(rating.value) : null
+        };
+        const errors = habitManager.validateCompletionDetails(details);
+        if (errors.length > 0) {
+            this.showToast(errors.join(', '), 'error');
+            return;
+        }
+
+        try {
+            const { habitId, date } = this.noteTarget;
+            if (!habitManager.setCompletionDetails(habitId, date, details)) {
+                this.showToast('Nothing is logged on that day any more', 'warning');
+                return;
+            }
+            this.noteTarget = null;
+            this.closeModal('noteModal');
+            this.showToast('Note saved', 'success', this.undoAction());
+            this.refreshOpenModals();
+            this.refreshUI();
+        } catch (error) {
+            console.error('Error saving note:', error);
+            this.showToast('Error saving note. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Rate a day from the habit card; picking the same rating again clears it
+     */
+    rateCompletion(habitId, rating, date = dateUtils.today()) {
+        const entry = storage.getCompletionEntry(habitId, date);
+        if (!entry) return;
+
+        habitManager.setCompletionDetails(habitId, date, {
+            note: entry.note || '',
+            rating: entry.rating === rating ? null : rating
+        });
+        this.refreshUI();
+    }
+
+    /**
+     * Open the note search
+     */
+    openNotes() {
+        document.getElementById('notesSearch').value = '';
+        this.renderNotesResults();
+        this.openModal('notesModal');
+    }
+
+    /**
+     * Render the notes matching the search box, newest first
+     */
+    renderNotesResults() {
+        const container = document.getElementById('notesResults');
+        if (!container) return;
+
+        const query = document.getElementById('notesSearch').value;
+        const results = habitManager.searchNotes(query);
+        if (results.length === 0) {
+            container.innerHTML = `<p class="text-sm text-base-content/60">${query.trim()
+                ? 'No notes match your search.'
+                : 'No notes yet. Once a day is logged, add a note from the habit card.'}</p>`;
+            return;
+        }
+
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
+        container.innerHTML = results.slice(0, 100).map(item => {
+            const habit = habitManager.getHabit(item.habitId);
+            return `
+                <div class="flex items-start gap-3 bg-base-200 rounded-lg p-3 text-sm">
+                    <div class="flex-1">
+                        <div class="font-semibold">${this.escapeHtml(habit.name)} <span class="font-normal text-base-content/60">${formatDay(item.date)}</span> ${item.rating ? this.RATING_EMOJI[item.rating - 1] : ''}</div>
+                        <div class="break-words">${this.highlightMatches(item.note, query)}</div>
+                    </div>
+                    <button class="btn btn-ghost btn-xs" onclick="uiManager.closeModal('notesModal'); uiManager.showHabitDetailsModal('${item.habitId}')" title="View habit"><i class="fas fa-chart-bar"></i></button>
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Escape text for HTML and mark each word of a search query in it
+     */
+    highlightMatches(text, query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return this.escapeHtml(text);
+
+        const pattern = new RegExp(`(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text.split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part)))
+            .join('');
+    }
+
+    /**
+     * Open the statistics dashboard
+     */
+    openStatistics() {
+        this.renderStatistics();
+        this.openModal('statsModal');
+    }
+
+    /**
+     * First and last day of the dashboard range
+     */
+    getStatsRange() {
+        if (this.statsRange.days) {
+            const to = dateUtils.today();
+            return { from: dateUtils.addDays(to, -(this.statsRange.days - 1)), to };
+        }
+        return { from: this.statsRange.from, to: this.statsRange.to };
+    }
+
+    /**
+     * Switch the dashboard to the last 7, 30, 90 or 365 days, or to a custom range
+     * A custom range starts out as the range shown until then
+     */
+    setStatsRange(value) {
+        if (value === 'custom') {
+            const { from, to } = this.getStatsRange();
+            this.statsRange = { days: null, from, to };
+            document.getElementById('statsFrom').value = from;
+            document.getElementById('statsTo').value = to;
+        } else {
+            this.statsRange = { days: Number(value), from: null, to: null };
+        }
+        this.renderStatistics();
+    }
+
+    /**
+     * Show the custom range entered in the dashboard
+     */
+    handleStatsCustomRange(e) {
+        e.preventDefault();
+        const from = document.getElementById('statsFrom').value;
+        const to = document.getElementById('statsTo').value;
+        if (!dateUtils.isValid(from) || !dateUtils.isValid(to) || from > to) {
+            this.showToast('Choose a start date on or before the end date.', 'error');
+            return;
+        }
+        if (to > dateUtils.today()) {
+            this.showToast('The range cannot end in the future.', 'error');
+            return;
+        }
+
+        this.statsRange = { days: null, from, to };
+        this.renderStatistics();
+    }
+
+    /**
+     * Render the dashboard for its range: the daily completion trend, the completion rate
+     * of each habit and a timeline of each habit's streaks
+     */
+    renderStatistics() {
+        const container = document.getElementById('statsContent');
+        if (!container) return;
+
+        const selected = this.statsRange.days ? String(this.statsRange.days) : 'custom';
+        document.querySelectorAll('[data-stats-range]').forEach(button => {
+            button.classList.toggle('btn-active', button.dataset.statsRange === selected);
+        });
+        document.getElementById('statsCustomRange').classList.toggle('hidden', selected !== 'custom');
+
+        const habits = habitManager.getHabits();
+        if (habits.length === 0) {
+            container.innerHTML = '<p class="text-sm text-base-content/60">Add a habit to see statistics.</p>';
+            return;
+        }
+
+        const { from, to } = this.getStatsRange();
+        // Habits started after the range have nothing to show in it
+        const shown = habits.filter(habit => habitManager.getHistoryStart(habit) <= to);
+        const progress = habitManager.getProgressBetween(from, to);
+        const tracked = progress.filter(day => day.total > 0);
+        const average = tracked.length > 0
+            ? Math.round(tracked.reduce((sum, day) => sum + day.percentage, 0) / tracked.length)
+            : 0;
+        const perfectDays = tracked.filter(day => day.percentage === 100).length;
+        const rates = shown
+            .map(habit => ({ habit, rate: habitManager.calculateCompletionRateBetween(habit.id, from, to) }))
+            .sort((a, b) => b.rate - a.rate);
+
+        container.innerHTML = `
+            <div class="grid grid-cols-3 gap-4 text-center">
+                <div>
+                    <div class="text-2xl font-bold text-primary">${average}%</div>
+                    <div class="text-sm text-base-content/70">Average completion</div>
+                </div>
+                <div>
+                    <div class="text-2xl font-bold text-success">${perfectDays}</div>
+                    <div class="text-sm text-base-content/70">Perfect day${perfectDays === 1 ? '' : 's'}</div>
+                </div>
+                <div>
+                    <div class="text-2xl font-bold text-secondary">${progress.length}</div>
+                    <div class="text-sm text-base-content/70">Day${progress.length === 1 ? '' : 's'} shown</div>
+                </div>
+            </div>
+            <div class="card bg-base-200">
+                <div class="card-body">
+                    <h4 class="card-title text-sm">Daily completion</h4>
+                    ${tracked.length > 0
+                        ? this.createProgressChart(progress)
+                        : '<p class="text-sm text-base-content/60">No habits were due in this range.</p>'}
+                </div>
+            </div>
+            <div class="card bg-base-200">
+                <div class="card-body">
+                    <h4 class="card-title text-sm">Completion rate by habit</h4>
+                    <div class="space-y-2">
+                        ${rates.map(({ habit, rate }) => `
+                            <div>
+                                <div class="flex justify-between gap-2 text-sm">
+                                    <span class="truncate">${this.escapeHtml(habit.name)}</span>
+                                    <span class="font-semibold">${rate}%</span>
+                                </div>
+                                <progress class="progress ${rate >= 80 ? 'progress-success' : rate >= 50 ? 'progress-warning' : 'progress-error'} w-full" value="${rate}" max="100"></progress>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="card bg-base-200">
+                <div class="card-body">
+                    <h4 class="card-title text-sm">Streaks</h4>
+                    ${this.createStreakTimeline(shown, from, to)}
+                </div>
+            </div>
+            <div class="card bg-base-200">
+                <div class="card-body">
+                    <h4 class="card-title text-sm">Patterns <span class="font-normal text-base-content/60">· all history</span></h4>
+                    ${this.createPatternsSection(habitManager.getOverallWeekdayStats(), habitManager.getOverallTimeOfDayStats())}
+                </div>
+            </div>
+            <div class="card bg-base-200">
+                <div class="card-body">
+                    <h4 class="card-title text-sm">Insights <span class="font-normal text-base-content/60">· all history</span></h4>
+                    ${this.createInsightsList(habitManager.getCorrelationInsights())}
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Line chart of the share of due habits completed each day, drawn as inline SVG
+     * Days with nothing due leave a gap in the line
+     */
+    createProgressChart(progress) {
+        const width = 600, height = 160, left = 36, pad = 10;
+        const step = progress.length > 1 ? (width - left - pad) / (progress.length - 1) : 0;
+        const x = (index) => (progress.length > 1 ? left + index * step : (left + width - pad) / 2).toFixed(1);
+        const y = (percentage) => (height - pad - (percentage / 100) * (height - 2 * pad)).toFixed(1);
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        const segments = [[]];
+        progress.forEach((day, index) => {
+            if (day.total > 0) {
+                segments[segments.length - 1].push(`${x(index)},${y(day.percentage)}`);
+            } else if (segments[segments.length - 1].length > 0) {
+                segments.push([]);
+            }
+        });
+        const radius = progress.length > 90 ? 1.5 : 3;
+        const labels = [0, Math.floor((progress.length - 1) / 2), progress.length - 1]
+            .filter((index, position, all) => all.indexOf(index) === position);
+
+        return `
+                        <svg viewBox="0 0 ${width} ${height + 16}" class="w-full h-44" role="img" aria-label="Share of due habits completed each day">
+                            ${[0, 50, 100].map(percentage => `
+                                <line x1="${left}" x2="${width - pad}" y1="${y(percentage)}" y2="${y(percentage)}" stroke="currentColor" stroke-opacity="0.1"/>
+                                <text x="${left - 6}" y="${y(percentage)}" text-anchor="end" dominant-baseline="middle" font-size="11" fill="currentColor" fill-opacity="0.6">${percentage}%</text>
+                            `).join('')}
+                            ${segments.filter(points => points.length > 0).map(points => `<polyline points="${points.join(' ')}" fill="none" stroke="oklch(var(--p))" stroke-width="2" stroke-linejoin="round"/>`).join('')}
+                            ${progress.map((day, index) => day.total > 0
+                                ? `<circle cx="${x(index)}" cy="${y(day.percentage)}" r="${radius}" fill="oklch(var(--p))"><title>${formatDay(day.date)}: ${day.completed} of ${day.total} (${day.percentage}%)</title></circle>`
+                                : '').join('')}
+                            ${labels.map(index => `<text x="${x(index)}" y="${height + 12}" text-anchor="${index === 0 ? 'start' : index === progress.length - 1 ? 'end' : 'middle'}" font-size="11" fill="currentColor" fill-opacity="0.6">${formatDay(progress[index].date)}</text>`).join('')}
+                        </svg>`;
+    }
+
+    /**
+     * One bar per habit across the range, with a segment for each streak
+     */
+    createStreakTimeline(habits, from, to) {
+        const span = dateUtils.daysBetween(from, to) + 1;
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
+
+        const rows = habits.map(habit => {
+            const unit = habitManager.getPeriodUnit(habit);
+            const streaks = habitManager.getStreakRuns(habit.id, from, to);
+            const bars = streaks.map(streak => {
+                const start = streak.start < from ? from : streak.start;
+                const end = streak.end > to ? to : streak.end;
+                const label = `${habitManager.formatPeriods(streak.length, unit)}: ${formatDay(streak.start)} - ${formatDay(streak.end)}${streak.current ? ' (running)' : ''}`;
+                return `<rect x="${dateUtils.daysBetween(from, start)}" y="0" width="${dateUtils.daysBetween(start, end) + 1}" height="10" fill="oklch(var(--su))"><title>${this.escapeHtml(label)}</title></rect>`;
+            }).join('');
+            const longest = streaks.reduce((best, streak) => Math.max(best, streak.length), 0);
+
+            return `
+                        <div>
+                            <div class="flex justify-between gap-2 text-sm">
+                                <span class="truncate">${this.escapeHtml(habit.name)}</span>
+                                <span class="text-base-content/60">${longest > 0 ? `Best ${habitManager.formatPeriods(longest, unit)}` : 'No streak'}</span>
+                            </div>
+                            <svg viewBox="0 0 ${span} 10" preserveAspectRatio="none" class="w-full h-3 rounded">
+                                <rect x="0" y="0" width="${span}" height="10" fill="oklch(var(--b3))"/>
+                                ${bars}
+                            </svg>
+                        </div>`;
+        }).join('');
+
+        return `
+                    <div class="space-y-2">
+                        ${rows}
+                        <div class="flex justify-between text-xs text-base-content/60">
+                            <span>${formatDay(from)}</span>
+                            <span>${formatDay(to)}</span>
+                        </div>
+                    </div>`;
+    }
+
+    /**
+     * Which weekdays are missed most and when in the day habits get done, with the drift of
+     * that time over the last months. For a quit habit both describe its relapses.
+     */
+    createPatternsSection(weekdays, timeOfDay, quit = false) {
+        const names = habitManager.WEEKDAY_NAMES;
+        const missedLabel = quit ? 'relapses' : 'missed';
+        const worst = weekdays.reduce((best, day) => (day.missRate > (best ? best.missRate : 0) ? day : best), null);
+        const weekdayBars = weekdays.map(day => `
+                                <div class="flex flex-col items-center gap-1 flex-1" title="${names[day.weekday]}: ${day.missed} ${missedLabel} of ${day.completed + day.missed} days (${day.missRate}%)">
+                                    <div class="w-full h-16 bg-base-300 rounded flex items-end overflow-hidden">
+                                        <div class="w-full ${day === worst ? 'bg-error' : 'bg-error/40'}" style="height: ${day.missRate}%"></div>
+                                    </div>
+                                    <span class="text-xs ${day === worst ? 'font-bold' : 'text-base-content/60'}">${names[day.weekday]}</span>
+                                </div>`).join('');
+
+        return `
+                        <div class="space-y-4">
+                            <div>
+                                <div class="text-sm mb-2">${worst
+                                    ? `${quit ? 'Most relapses' : 'Missed most'} on <strong>${names[worst.weekday]}</strong> (${worst.missRate}% of the time)`
+                                    : `No ${missedLabel} days yet`}</div>
+                                <div class="flex gap-1">${weekdayBars}</div>
+                            </div>
+                            ${this.createTimeOfDaySection(timeOfDay, quit)}
+                        </div>`;
+    }
+
+    /**
+     * Typical time of day, a histogram by hour and the typical time of each recent month
+     */
+    createTimeOfDaySection(timeOfDay, quit = false) {
+        if (timeOfDay.count === 0) {
+            return `<p class="text-sm text-base-content/60">No ${quit ? 'relapse' : 'completion'} times yet. Days checked off on the day itself record the time they were done.</p>`;
+        }
+
+        const most = Math.max(...timeOfDay.byHour);
+        const width = 240, height = 48;
+        const bars = timeOfDay.byHour.map((count, hour) => {
+            const barHeight = (count / most) * (height - 4);
+            return `<rect x="${hour * 10 + 1}" y="${(height - barHeight).toFixed(1)}" width="8" height="${barHeight.toFixed(1)}" fill="oklch(var(--p))"><title>${habitManager.formatMinutes(hour * 60)}-${habitManager.formatMinutes(hour * 60 + 59)}: ${count}</title></rect>`;
+        }).join('');
+
+        const months = timeOfDay.byMonth.filter(month => month.count > 0);
+        const formatMonth = (month) => dateUtils.parse(`${month}-01`).toLocaleDateString(undefined, { month: 'short' });
+        let drift = '';
+        if (months.length > 1) {
+            const change = months[months.length - 1].typical - months[0].typical;
+            if (Math.abs(change) >= 30) {
+                drift = ` · about ${Math.abs(change)} min ${change > 0 ? 'later' : 'earlier'} than in ${formatMonth(months[0].month)}`;
+            }
+        }
+
+        return `
+                            <div>
+                                <div class="text-sm mb-2">${quit ? 'Relapses usually' : 'Usually done'} around <strong>${habitManager.formatMinutes(timeOfDay.typical)}</strong> <span class="text-base-content/60">(${timeOfDay.count} timed)</span></div>
+                                <svg viewBox="0 0 ${width} ${height + 12}" class="w-full h-20" role="img" aria-label="Completions by hour of the day">
+                                    ${bars}
+                                    ${[0, 6, 12, 18].map(hour => `<text x="${hour * 10 + 1}" y="${height + 10}" font-size="8" fill="currentColor" fill-opacity="0.6">${String(hour).padStart(2, '0')}</text>`).join('')}
+                                </svg>
+                                ${months.length > 0 ? `
+                                <div class="text-xs text-base-content/70 mt-2">
+                                    By month: ${months.map(month => `${formatMonth(month.month)} ${habitManager.formatMinutes(month.typical)}`).join(' → ')}${drift}
+                                </div>` : ''}
+                            </div>`;
+    }
+
+    /**
+     * Habits that move together, as sentences; each pair is seen from habitId, or from the
+     * habit it was computed for when listing pairs of any two habits
+     */
+    createInsightsList(correlations, habitId = null, limit = 5) {
+        const describe = (pair) => {
+            const from = habitManager.getHabit(habitId || pair.fromHabitId);
+            const other = habitManager.getHabit(pair.habitId);
+            const verb = (habit) => `${habitManager.isQuitHabit(habit) ? 'stay off' : 'do'} <strong>${this.escapeHtml(habit.name)}</strong>`;
+            const often = pair.lift > 1 ? 'also' : 'only';
+            return `On days you ${verb(from)}, you ${often} ${verb(other)} ${pair.rateWith}% of the time, against ${pair.rateWithout}% on other days`;
+        };
+        const item = (pair, icon, color) => `
+                            <li class="flex gap-2 text-sm" title="${pair.together} of ${pair.days} shared days together · lift ${pair.lift}×">
+                                <i class="fas ${icon} ${color} mt-1"></i>
+                                <span>${describe(pair)}</span>
+                            </li>`;
+
+        const positive = correlations.positive.slice(0, limit);
+        const negative = correlations.negative.slice(0, limit);
+        if (positive.length === 0 && negative.length === 0) {
+            return `<p class="text-sm text-base-content/60">No clear relationships yet. Habits are compared once they share ${habitManager.MIN_SHARED_DAYS} tracked days, with each done and not done on at least ${habitManager.MIN_OUTCOME_DAYS} of them.</p>`;
+        }
+
+        return `
+                        <ul class="space-y-2">
+                            ${positive.map(pair => item(pair, 'fa-link', 'text-success')).join('')}
+                            ${negative.map(pair => item(pair, 'fa-link-slash', 'text-error')).join('')}
+                        </ul>`;
+    }
+
+    /**
+     * Offer a reminder time derived from when the edited habit is usually completed
+     */
+    renderReminderSuggestion(habit = null) {
+        const container = document.getElementById('reminderSuggestion');
+        if (!container) return;
+
+        const suggestion = habit ? habitManager.suggestReminderTime(habit.id) : null;
+        container.classList.toggle('hidden', !suggestion);
+        container.innerHTML = suggestion ? `
+            <span class="label-text-alt text-base-content/60">Suggested ${suggestion.time}, just before most of the ${suggestion.basedOn} completions of the last 60 days</span>
+            <button type="button" class="btn btn-xs btn-ghost" onclick="uiManager.applyReminderSuggestion('${suggestion.time}')">Use</button>` : '';
+    }
+
+    /**
+     * Put the suggested time in the reminder input
+     */
+    applyReminderSuggestion(time) {
+        document.getElementById('reminderTime').value = time;
+    }
+
+    /**
+     * Open the reports dialog on a period, given as "week:1" for last week, "month:0" for this month
+     */
+    openReports(period = 'week:1') {
+        document.getElementById('reportPeriod').value = period;
+        document.getElementById('weeklyReportToggle').checked = Boolean(storage.getSettings().weeklyReport);
+        this.renderReport();
+        this.openModal('reportsModal');
+    }
+
+    /**
+     * Build the report of the selected period and preview it as it will be exported
+     */
+    renderReport() {
+        const preview = document.getElementById('reportPreview');
+        if (!preview) return;
+
+        const [type, offset] = document.getElementById('reportPeriod').value.split(':');
+        try {
+            this.currentReport = reportManager.buildReport(type, Number(offset));
+            preview.srcdoc = reportManager.toHtml(this.currentReport);
+        } catch (error) {
+            console.error('Error building report:', error);
+            this.showToast('Error building report. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Open last week's report if it is the first visit of a new week and the user asked for it
+     */
+    showWeeklyReportIfDue() {
+        if (!reportManager.isWeeklyReportDue()) return;
+
+        reportManager.markWeeklyReportShown();
+        this.openReports('week:1');
+    }
+
+    /**
+     * Open the vacations and streak freezes dialog
+     */
+    openTimeOff() {
+        const today = dateUtils.today();
+        document.getElementById('vacationStart').value = today;
+        document.getElementById('vacationEnd').value = dateUtils.addDays(today, 6);
+        document.getElementById('streakFreezesToggle').checked = storage.getSettings().streakFreezes !== false;
+        this.renderVacationList();
+        this.openModal('timeOffModal');
+    }
+
+    /**
+     * Render saved vacations, newest first
+     */
+    renderVacationList() {
+        const container = document.getElementById('vacationList');
+        if (!container) return;
+
+        const vacations = storage.getVacations().reverse();
+        if (vacations.length === 0) {
+            container.innerHTML = '<p class="text-sm text-base-content/60">No vacations planned.</p>';
+            return;
+        }
+
+        const today = dateUtils.today();
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
+        container.innerHTML = vacations.map(vacation => {
+            const active = vacation.start <= today && today <= vacation.end;
+            const days = dateUtils.daysBetween(vacation.start, vacation.end) + 1;
+            return `
+                <div class="flex items-center gap-3 bg-base-200 rounded-lg p-3">
+                    <div class="flex-1 text-sm">
+                        <div class="font-semibold">${formatDay(vacation.start)} - ${formatDay(vacation.end)}${active ? ' <span class="badge badge-info badge-sm">Now</span>' : ''}</div>
+                        <div class="text-xs text-base-content/60">${days} day(s)</div>
+                    </div>
+                    <button class="btn btn-ghost btn-sm" onclick="uiManager.removeVacation('${vacation.id}')" title="Remove vacation"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Add a vacation from the time off form
+     */
+    handleVacationSubmit(e) {
+        e.preventDefault();
+
+        const start = document.getElementById('vacationStart').value;
+        const end = document.getElementById('vacationEnd').value;
+        if (!dateUtils.isValid(start) || !dateUtils.isValid(end) || end < start) {
+            this.showToast('Choose a start day and an end day on or after it', 'error');
+            return;
+        }
+        if (dateUtils.daysBetween(start, end) >= 366) {
+            this.showToast('A vacation can be at most a year long', 'error');
+            return;
+        }
+
+        storage.addVacation(start, end);
+        this.showToast('Vacation added. Those days are excused for every habit', 'success');
+        this.renderVacationList();
+        this.refreshUI();
+    }
+
+    removeVacation(vacationId) {
+        storage.removeVacation(vacationId);
+        this.showToast('Vacation removed', 'info');
+        this.renderVacationList();
+        this.refreshUI();
+    }
+
+    /**
+     * Take today off for one habit, or take the rest day back
+     */
+    toggleRestDay(habitId) {
+        const habit = habitManager.getHabit(habitId);
+        if (!habit) return;
+
+        const resting = habitManager.toggleRestDay(habitId);
+        this.showToast(resting ? `Rest day taken for ${habit.name}` : `Rest day removed for ${habit.name}`, 'info', this.undoAction());
+        this.refreshUI();
+    }
+
+    /**
+     * Open the storage usage dialog
+     */
+    async openStorage() {
+        await this.renderStorageUsage();
+        this.openModal('storageModal');
+    }
+
+    /**
+     * Render storage usage against the available quota
+     */
+    async renderStorageUsage() {
+        const container = document.getElementById('storageUsage');
+        if (!container) return;
+
+        const estimate = await storage.getStorageEstimate();
+        let snapshotCount = 0;
+        try {
+            snapshotCount = (await storage.getSnapshots()).length;
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+        }
+
+        let usageHtml = '<p class="text-sm text-base-content/70">This browser does not report how much space is available.</p>';
+        if (estimate.percentUsed !== null) {
+            const color = estimate.percentUsed >= 95 ? 'error' : estimate.percentUsed >= 80 ? 'warning' : 'success';
+            usageHtml = `
+                <progress class="progress progress-${color} w-full" value="${estimate.percentUsed}" max="100"></progress>
+                <p class="text-sm">
+                    ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} used (${estimate.percentUsed}%)
+                </p>
+            `;
+        }
+
+        container.innerHTML = `
+            ${usageHtml}
+            <p class="text-sm text-base-content/70">
+                ${estimate.totalHabits} habit(s) and ${estimate.totalCompletions} completion(s) take about
+                ${this.formatBytes(estimate.storageSize)} in ${estimate.backend === 'indexedDB' ? 'IndexedDB' : 'localStorage'}
+            </p>
+        `;
+        document.getElementById('storageSnapshotInfo').textContent =
+            `${snapshotCount} snapshot(s) saved. New ones are taken automatically while the app is open.`;
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Ask for a passphrase
+     * onSubmit(passphrase) runs while the dialog is open; if it throws, the error is shown
+     * and the user can try again. Resolves with onSubmit's result, or null when cancelled.
+     */
+    requestPassphrase({ title, message, submitLabel = 'OK', confirm = false, onSubmit }) {
+        this.cancelPassphraseRequest();
+
+        document.getElementById('passphraseTitle').textContent = title;
+        document.getElementById('passphraseMessage').textContent = message;
+        document.getElementById('passphraseSubmit').textContent = submitLabel;
+        document.getElementById('passphraseConfirmGroup').classList.toggle('hidden', !confirm);
+        document.getElementById('passphraseConfirm').required = confirm;
+        this.resetPassphraseForm();
+
+        return new Promise(resolve => {
+            this.passphraseRequest = { resolve, confirm, onSubmit };
+            this.openModal('passphraseModal');
+        });
+    }
+
+    /**
+     * Handle passphrase dialog submission
+     */
+    async handlePassphraseSubmit(e) {
+        e.preventDefault();
+        const request = this.passphraseRequest;
+        if (!request) return;
+
+        const passphrase = document.getElementById('passphraseInput').value;
+        if (request.confirm && passphrase !== document.getElementById('passphraseConfirm').value) {
+            this.showPassphraseError('Passphrases do not match');
+            return;
+        }
+
+        const submitButton = document.getElementById('passphraseSubmit');
+        submitButton.disabled = true;
+        try {
+            const result = await request.onSubmit(passphrase);
+            this.passphraseRequest = null;
+            this.closeModal('passphraseModal');
+            this.resetPassphraseForm();
+            request.resolve(result);
+        } catch (error) {
+            this.showPassphraseError(error.message);
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    /**
+     * Settle a pending passphrase request as cancelled
+     */
+    cancelPassphraseRequest() {
+        if (!this.passphraseRequest) return;
+        const { resolve } = this.passphraseRequest;
+        this.passphraseRequest = null;
+        this.resetPassphraseForm();
+        resolve(null);
+    }
+
+    resetPassphraseForm() {
+        document.getElementById('passphraseInput').value = '';
+        document.getElementById('passphraseConfirm').value = '';
+        document.getElementById('passphraseError').classList.add('hidden');
+    }
+
+    showPassphraseError(message) {
+        const error = document.getElementById('passphraseError');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+
+    /**
+     * Escape text for safe use inside HTML templates
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Render habits list
+     */
+    renderHabitsList() {
+        const habitsList = document.getElementById('habitsList');
+        if (!habitsList) return;
+
+        const habits = habitManager.getHabits();
+        
+        if (habits.length === 0) {
+            habitsList.innerHTML = `
+                <div class="text-center py-12">
+                    <div class="text-6xl text-primary mb-4">
+                        <i class="fas fa-plus-circle"></i>
+                    </div>
+                    <h3 class="text-2xl font-bold text-primary mb-2">No habits yet</h3>
+                    <p class="text-base-content/70 mb-6">Start building your habits by adding your first one!</p>
+                    <button class="btn btn-primary btn-lg" onclick="uiManager.showAddHabitModal()">
+                        <i class="fas fa-plus"></i> Add Your First Habit
+                    </button>
+                </div>
+            `;
+            return;
+        }
+
+        // A filter on a tag that was renamed or removed falls back to every habit
+        const tags = habitManager.getAllTags().map(item => item.tag);
+        if (this.tagFilter && !tags.includes(this.tagFilter)) {
+            this.tagFilter = null;
+        }
+        this.renderTagFilterBar(tags);
+
+        const renderCard = (habit) => {
+            const stats = habitManager.getHabitStats(habit.id);
+            const isCompletedToday = habitManager.isCompleted(habit.id);
+            const completions = habitManager.getDayStatuses(habit.id, 7);
+            
+            return this.createHabitCard(habit, stats, isCompletedToday, completions);
+        };
+
+        if (storage.getSettings().groupByTag) {
+            // Habits with several tags show up under each of them
+            const groups = (this.tagFilter === null ? [...tags, ''] : [this.tagFilter])
+                .map(tag => ({ tag, habits: habitManager.getHabitsByTag(tag) }))
+                .filter(group => group.habits.length > 0);
+            habitsList.innerHTML = groups.map(group => `
+                <div class="space-y-6">
+                    ${this.createTagGroupHeader(group.tag, group.habits)}
+                    ${group.habits.map(renderCard).join('')}
+                </div>
+            `).join('');
+            return;
+        }
+
+        const visible = this.tagFilter === null ? habits : habitManager.getHabitsByTag(this.tagFilter);
+        habitsList.innerHTML = (this.tagFilter !== null ? this.createTagGroupHeader(this.tagFilter, visible) : '') +
+            visible.map(renderCard).join('');
+    }
+
+    /**
+     * Chips above the habit list to show only the habits with one tag
+     */
+    renderTagFilterBar(tags) {
+        const bar = document.getElementById('tagFilterBar');
+        if (!bar) return;
+
+        const toggle = document.getElementById('groupByTagToggle');
+        if (toggle) {
+            toggle.checked = Boolean(storage.getSettings().groupByTag);
+        }
+        bar.classList.toggle('hidden', tags.length === 0);
+        if (tags.length === 0) return;
+
+        this.renderedTags = tags;
+        const chip = (label, active, onclick) =>
+            `<button class="btn btn-xs ${active ? 'btn-primary' : 'btn-ghost'}" onclick="${onclick}">${label}</button>`;
+        bar.innerHTML = [
+            chip('All', this.tagFilter === null, 'uiManager.setTagFilter(null)'),
+            ...tags.map((tag, index) => chip(`#${this.escapeHtml(tag)}`, this.tagFilter === tag, `uiManager.setTagFilter(${index})`)),
+            chip('Untagged', this.tagFilter === '', "uiManager.setTagFilter('')")
+        ].join('');
+    }
+
+    /**
+     * Show only the habits with a tag: an index into the rendered tags, '' for untagged, null for all
+     */
+    setTagFilter(tag) {
+        this.tagFilter = typeof tag === 'number' ? this.renderedTags[tag] : tag;
+        this.renderHabitsList();
+    }
+
+    /**
+     * Heading of a tag group with the group's statistics
+     */
+    createTagGroupHeader(tag, habits) {
+        const stats = habitManager.getGroupStats(habits);
+        const unitShort = (unit) => ({ day: 'd', week: 'w', time: '×' }[unit]);
+        return `
+                    <div class="flex flex-wrap items-center gap-2 border-b border-base-300 pb-2">
+                        <h3 class="text-lg font-bold mr-2">${tag ? `#${this.escapeHtml(tag)}` : 'Untagged'}</h3>
+                        <span class="badge badge-ghost" title="Habits">${stats.totalHabits} habit${stats.totalHabits === 1 ? '' : 's'}</span>
+                        <span class="badge badge-outline" title="Habits done out of those due today">Today ${stats.completedToday}/${stats.dueToday}</span>
+                        <span class="badge badge-outline" title="Share of scheduled periods completed in the last 30 days">30d ${stats.completionRate30}%</span>
+                        <span class="badge badge-outline" title="Longest current streak">🔥 ${stats.currentStreak}${unitShort(stats.currentStreakUnit)}</span>
+                        <span class="badge badge-outline" title="Longest streak ever">🏅 ${stats.bestStreak}${unitShort(stats.bestStreakUnit)}</span>
+                    </div>`;
+    }
+
+    /**
+     * Open the tag statistics and management dialog
+     */
+    openTags() {
+        this.renderTagsList();
+        this.openModal('tagsModal');
+    }
+
+    /**
+     * Render each tag with its statistics and a rename form
+     */
+    renderTagsList() {
+        const container = document.getElementById('tagsList');
+        if (!container) return;
+
+        const tagStats = habitManager.getTagStats();
+        this.renderedTags = tagStats.map(stats => stats.tag);
+        document.getElementById('tagNames').innerHTML = this.renderedTags
+            .map(tag => `<option value="${this.escapeHtml(tag)}"></option>`).join('');
+        if (tagStats.length === 0) {
+            container.innerHTML = '<p class="text-sm text-base-content/60">No tags yet. Add tags to a habit to group and compare them.</p>';
+            return;
+        }
+
+        container.innerHTML = tagStats.map((stats, index) => `
+                <div class="bg-base-200 rounded-lg p-3 space-y-2">
+                    <div class="flex flex-wrap items-center gap-2">
+                        <span class="badge badge-accent">${this.escapeHtml(stats.tag)}</span>
+                        <span class="text-sm text-base-content/70">${stats.totalHabits} habit${stats.totalHabits === 1 ? '' : 's'}</span>
+                    </div>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                        <div title="Habits done out of those due today"><span class="font-semibold">Today:</span> ${stats.todayProgress}% (${stats.completedToday}/${stats.dueToday})</div>
+                        <div title="Share of scheduled periods completed in the last 30 days"><span class="font-semibold">30d:</span> ${stats.completionRate30}%</div>
+                        <div title="Longest current streak"><span class="font-semibold">Streak:</span> ${habitManager.formatPeriods(stats.currentStreak, stats.currentStreakUnit)}</div>
+                        <div title="Longest streak ever"><span class="font-semibold">Best:</span> ${habitManager.formatPeriods(stats.bestStreak, stats.bestStreakUnit)}</div>
+                    </div>
+                    <form class="flex gap-2" onsubmit="uiManager.handleTagRename(event, ${index})">
+                        <input type="text" name="tagName" value="${this.escapeHtml(stats.tag)}" list="tagNames" required class="input input-bordered input-sm flex-1" aria-label="New name for ${this.escapeHtml(stats.tag)}">
+                        <button type="submit" class="btn btn-sm btn-outline">Rename / Merge</button>
+                    </form>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Rename a tag from the tags dialog, merging it when the new name is already a tag
+     */
+    handleTagRename(e, index) {
+        e.preventDefault();
+        const from = this.renderedTags[index];
+        const to = e.target.elements.tagName.value.trim();
+        if (!from || !to || to === from) return;
+
+        if (to.includes(',')) {
+            this.showToast('Tags cannot contain commas', 'error');
+            return;
+        }
+        const merging = this.renderedTags.includes(to);
+        if (merging && !confirm(`Merge "${from}" into "${to}"? Habits with either tag will only have "${to}".`)) {
+            return;
+        }
+
+        try {
+            const changed = habitManager.renameTag(from, to);
+            if (this.tagFilter === from) {
+                this.tagFilter = to;
+            }
+            this.showToast(`${merging ? 'Merged' : 'Renamed'} "${from}" into "${to}" on ${changed} habit${changed === 1 ? '' : 's'}`, 'success', this.undoAction());
+            this.renderTagsList();
+            this.refreshUI();
+        } catch (error) {
+            console.error('Error renaming tag:', error);
+            this.showToast('Error renaming tag. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Suggest existing tags that match the tag being typed in the habit form
+     */
+    renderTagSuggestions() {
+        const input = document.getElementById('habitTags');
+        const container = document.getElementById('tagSuggestions');
+        if (!input || !container) return;
+
+        const parts = input.value.split(',').map(part => part.trim());
+        const typed = parts[parts.length - 1].toLowerCase();
+        const suggestions = habitManager.getAllTags()
+            .map(item => item.tag)
+            .filter(tag => !parts.includes(tag) && tag.toLowerCase().startsWith(typed))
+            .slice(0, 12);
+
+        container.innerHTML = suggestions
+            .map(tag => `<button type="button" class="badge badge-accent badge-outline cursor-pointer">${this.escapeHtml(tag)}</button>`)
+            .join('');
+        container.querySelectorAll('button').forEach((button, index) => {
+            button.addEventListener('click', () => this.applyTagSuggestion(suggestions[index]));
+        });
+    }
+
+    /**
+     * Complete the tag being typed with a suggestion
+     */
+    applyTagSuggestion(tag) {
+        const input = document.getElementById('habitTags');
+        const parts = input.value.split(',').map(part => part.trim());
+        parts[parts.length - 1] = tag;
+        input.value = `${parts.filter(Boolean).join(', ')}, `;
+        input.focus();
+        this.renderTagSuggestions();
+    }
+
+    /**
+     * Render archived habits section
+     */
+    renderArchivedList() {
+        const section = document.getElementById('archivedSection');
+        const archivedList = document.getElementById('archivedList');
+        if (!section || !archivedList) return;
+
+        const habits = habitManager.getArchivedHabits();
+        section.classList.toggle('hidden', habits.length === 0);
+        document.getElementById('archivedCount').textContent = habits.length;
+
+        const completions = storage.getCompletions();
+        archivedList.innerHTML = habits.map(habit => {
+            const totalCompletions = (completions[habit.id] || []).length;
+            const archivedOn = habit.archivedAt ? new Date(habit.archivedAt).toLocaleDateString() : '';
+            return `
+                <div class="flex items-center gap-3 bg-base-100 rounded-lg p-3" data-habit-id="${habit.id}">
+                    <div class="flex-1">
+                        <div class="font-semibold">${this.escapeHtml(habit.name)}</div>
+                        <div class="text-xs text-base-content/60">${totalCompletions} completion(s)${archivedOn ? ` &middot; archived ${archivedOn}` : ''}</div>
+                    </div>
+                    <button class="btn btn-outline btn-sm" onclick="uiManager.showHabitDetailsModal('${habit.id}')" title="View history"><i class="fas fa-chart-bar"></i></button>
+                    <button class="btn btn-primary btn-sm" onclick="uiManager.restoreHabit('${habit.id}')" title="Restore habit"><i class="fas fa-undo"></i> Restore</button>
+                    <button class="btn btn-error btn-sm" onclick="uiManager.deleteHabit('${habit.id}')" title="Delete permanently"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Create habit card HTML
+     */
+    createHabitCard(habit, stats, isCompletedToday, completions) {
+        const completionGrid = this.createCompletionGrid(completions);
+        // Simple emoji/icon based on habit name (can be improved for user selection)
         const emoji = habit.name.toLowerCase().includes('jog') ? '🏃' :
                       habit.name.toLowerCase().includes('read') ? '📚' :
                       habit.name.toLowerCase().includes('meditat') ? '🧘' :
@@ -451,40 +2319,83 @@ class UIManager {
             </defs>
             <text x="50%" y="54%" text-anchor="middle" class="progress-text" font-size="1.1rem" font-weight="bold">${percent}%</text>
           </svg>`;
+        // Streaks and rates are counted in the periods of the habit's schedule
+        const unitShort = { day: 'd', week: 'w', time: '×' }[stats.periodUnit];
+        // Quit habits count clean days instead, and log relapses instead of completions
+        const quit = habitManager.isQuitHabit(habit);
+        const rateTitle = (days) => quit
+            ? `Share of tracked days in the last ${days} days without a relapse`
+            : `Share of the scheduled ${stats.periodUnit}s in the last ${days} days that were completed`;
+        const status = completions[completions.length - 1].status;
+        const periodDone = stats.periodUnit !== 'day' && status !== 'off' && habitManager.isPeriodComplete(habit.id);
+        const periodLabel = stats.periodUnit === 'week' ? 'this week' : 'this round';
+        // Measurable habits show today's amount and a quick way to add to it
+        const todayAmount = completions[completions.length - 1].amount;
+        const amountLog = habitManager.isMeasurable(habit) ? `
+              <div class="mt-4">
+                <div class="flex justify-between text-sm mb-1">
+                  <span class="font-medium">Today</span>
+                  <span>${this.escapeHtml(habitManager.formatAmount(habit, todayAmount))}</span>
+                </div>
+                <progress class="progress progress-success w-full" value="${Math.min(todayAmount, habit.target)}" max="${habit.target}"></progress>
+                <div class="flex gap-2 mt-2">
+                  <input type="number" data-amount-input step="any" placeholder="Amount" class="input input-bordered input-sm w-28"
+                    onkeydown="if (event.key === 'Enter') uiManager.logHabitAmount('${habit.id}', null, this)">
+                  <button class="btn btn-secondary btn-sm" onclick="uiManager.logHabitAmount('${habit.id}', null, this)" title="Add to today's amount; use a negative number to correct it"><i class="fas fa-plus"></i> Log</button>
+                  <button class="btn btn-outline btn-sm" onclick="uiManager.logHabitAmount('${habit.id}', 1)" title="Add 1">+1</button>
+                </div>
+              </div>` : '';
+        // Once something is logged today it can be rated and given a note
+        const todayEntry = storage.getCompletionEntry(habit.id, dateUtils.today());
+        const noteRow = todayEntry ? `
+              <div class="flex items-center gap-1 mt-3">
+                <span class="text-xs text-base-content/60 mr-1">${quit ? 'How are you feeling?' : 'How did it go?'}</span>
+                ${this.RATING_EMOJI.map((emoji, index) => `<button class="btn btn-ghost btn-xs ${todayEntry.rating === index + 1 ? 'btn-active' : ''}" onclick="uiManager.rateCompletion('${habit.id}', ${index + 1})" title="Rate today ${index + 1} of 5">${emoji}</button>`).join('')}
+                <button class="btn btn-ghost btn-xs ml-auto" onclick="uiManager.openCompletionNote('${habit.id}')" title="${todayEntry.note ? this.escapeHtml(todayEntry.note) : 'Add a note to today'}">
+                  <i class="fas ${todayEntry.note ? 'fa-comment' : 'fa-comment-dots'}"></i> ${todayEntry.note ? 'Edit note' : 'Add note'}
+                </button>
+              </div>` : '';
+        const challengeProgress = stats.challenge ? this.createChallengeProgress(habit, stats.challenge, stats.periodUnit) : '';
         // Tag badges
-        const tagBadges = (habit.tags || []).map(tag => `<span class='badge badge-accent badge-sm mr-1'>${tag}</span>`).join('');
+        const tagBadges = (habit.tags || []).map(tag => `<span class='badge badge-accent badge-sm mr-1'>${this.escapeHtml(tag)}</span>`).join('');
         return `
           <div class="card bg-base-100 shadow-xl mb-8 hover:shadow-2xl hover:ring-2 hover:ring-primary/40 transition-all duration-300 group" data-habit-id="${habit.id}">
             <div class="card-body">
               <div class="flex items-center gap-4 mb-4">
                 <div class="text-4xl">${emoji}</div>
                 <div class="flex-1">
-                  <h3 class="card-title text-primary text-lg font-bold flex items-center gap-2">${habit.name}</h3>
-                  ${habit.description ? `<p class="text-base-content/70 text-sm">${habit.description}</p>` : ''}
+                  <h3 class="card-title text-primary text-lg font-bold flex items-center gap-2">${this.escapeHtml(habit.name)}</h3>
+                  ${habit.description ? `<p class="text-base-content/70 text-sm">${this.escapeHtml(habit.description)}</p>` : ''}
                   <div class="flex gap-2 mt-1 flex-wrap">${tagBadges}</div>
                   <div class="flex gap-2 mt-1">
-                    <span class="badge badge-outline badge-sm" title="How often you want to do this habit">${habit.frequency}</span>
+                    ${quit
+                      ? '<span class="badge badge-error badge-outline badge-sm" title="Counts the days you stay away from this habit">Quit</span>'
+                      : `<span class="badge badge-outline badge-sm" title="How often you want to do this habit">${habitManager.describeSchedule(habit)}</span>`}
+                    ${status === 'off' ? '<span class="badge badge-ghost badge-sm" title="Today is not on this habit\'s schedule">Not due today</span>' : ''}
+                    ${status === 'excused' ? `<span class="badge badge-info badge-sm" title="Today is excused">${this.getDayStatusLabel(completions[completions.length - 1])}</span>` : ''}
+                    ${stats.freezes > 0 ? `<span class="badge badge-info badge-outline badge-sm" title="Streak freezes available: a missed day will not break the streak">🧊 ${stats.freezes}</span>` : ''}
+                    ${periodDone ? `<span class="badge badge-success badge-sm" title="Target reached for the current period">✓ ${periodLabel}</span>` : ''}
                   </div>
                 </div>
                 <div class="flex flex-col items-center">
                   ${progressRing}
-                  <span class="text-xs text-base-content/60 mt-1" title="30-day completion rate">30d Success</span>
+                  <span class="text-xs text-base-content/60 mt-1" title="${rateTitle(30)}">${quit ? '30d Clean' : '30d Success'}</span>
                 </div>
               </div>
               <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-                <div class="stat bg-base-200 rounded-lg p-3" title="Current streak: consecutive days completed">
-                  <div class="stat-title text-xs flex items-center gap-1">🔥<span>Streak</span></div>
-                  <div class="stat-value text-lg text-primary transition-all duration-500">${stats.currentStreak}d</div>
+                <div class="stat bg-base-200 rounded-lg p-3" title="${quit ? 'Days clean since the last relapse' : `Current streak: consecutive ${stats.periodUnit}s completed`}">
+                  <div class="stat-title text-xs flex items-center gap-1">${quit ? '🌱<span>Days clean</span>' : '🔥<span>Streak</span>'}</div>
+                  <div class="stat-value text-lg text-primary transition-all duration-500">${stats.currentStreak}${unitShort}</div>
                 </div>
-                <div class="stat bg-base-200 rounded-lg p-3" title="Longest streak ever achieved">
-                  <div class="stat-title text-xs flex items-center gap-1">🏅<span>Best</span></div>
-                  <div class="stat-value text-lg text-primary">${stats.longestStreak}d</div>
+                <div class="stat bg-base-200 rounded-lg p-3" title="${quit ? 'Longest run without a relapse' : 'Longest streak ever achieved'}">
+                  <div class="stat-title text-xs flex items-center gap-1">${quit ? '🏆<span>Longest run</span>' : '🏅<span>Best</span>'}</div>
+                  <div class="stat-value text-lg text-primary">${stats.longestStreak}${unitShort}</div>
                 </div>
-                <div class="stat bg-base-200 rounded-lg p-3" title="Success rate over the last 7 days">
+                <div class="stat bg-base-200 rounded-lg p-3" title="${rateTitle(7)}">
                   <div class="stat-title text-xs flex items-center gap-1">📆<span>7d</span></div>
                   <div class="stat-value text-lg text-primary">${stats.completionRate7}%</div>
                 </div>
-                <div class="stat bg-base-200 rounded-lg p-3" title="Success rate over the last 30 days">
+                <div class="stat bg-base-200 rounded-lg p-3" title="${rateTitle(30)}">
                   <div class="stat-title text-xs flex items-center gap-1">📅<span>30d</span></div>
                   <div class="stat-value text-lg text-primary">${stats.completionRate30}%</div>
                 </div>
@@ -493,18 +2404,25 @@ class UIManager {
                 <h4 class="text-sm font-medium mb-3">Last 7 Days <span class="tooltip tooltip-bottom ml-1" data-tip="Shows your completion for each day">🛈</span></h4>
                 <div class="flex gap-1 justify-center">
                   ${completions.map(completion => {
-                    const date = new Date(completion.date);
-                    const isToday = completion.date === new Date().toISOString().split('T')[0];
-                    const isCompleted = completion.completed;
-                    return `<div class="w-8 h-8 rounded-lg flex items-center justify-center text-xs font-medium cursor-pointer transition-all duration-200 ${isCompleted ? 'bg-success text-success-content' : 'bg-base-300 text-base-content/60'} ${isToday ? 'ring-2 ring-primary' : ''} hover:scale-110" title="${date.toLocaleDateString()} - ${isCompleted ? 'Completed' : 'Missed'}">${date.getDate()}</div>`;
+                    const date = dateUtils.parse(completion.date);
+                    const isToday = completion.date === dateUtils.today();
+                    return `<div class="relative w-8 h-8 rounded-lg flex items-center justify-center text-xs font-medium cursor-pointer transition-all duration-200 ${this.getDayStatusClass(completion.status)} ${isToday ? 'ring-2 ring-primary' : ''} hover:scale-110"${this.getDayProgressStyle(completion)} title="${this.getDayTitle(completion, undefined, habit)}">${date.getDate()}${this.getNoteMarker(completion)}</div>`;
                   }).join('')}
                 </div>
               </div>
+              ${challengeProgress}
+              ${amountLog}
+              ${noteRow}
               <div class="flex gap-2 mt-4">
+                ${quit ? `
+                <button class="btn ${isCompletedToday ? 'btn-outline' : 'btn-error btn-outline'} btn-sm flex-1" onclick="uiManager.toggleRelapse('${habit.id}')" title="${isCompletedToday ? 'Remove today\'s relapse' : 'Log a relapse for today'}">
+                  ${isCompletedToday ? '<i class=\'fas fa-rotate-left\'></i> Relapse logged' : '<i class=\'fas fa-heart-crack\'></i> Log Relapse'}
+                </button>` : `
                 <button class="btn btn-primary btn-sm flex-1 group/done relative overflow-hidden" onclick="uiManager.toggleHabitCompletion('${habit.id}')" title="Mark as done">
                   <span class="transition-transform duration-300 group-hover/done:scale-110">${isCompletedToday ? '<i class=\'fas fa-check\'></i> Done' : '<i class=\'fas fa-check\'></i> Mark Done'}</span>
                   <span class="absolute inset-0 opacity-0 group-active/done:opacity-100 transition-opacity duration-300 flex items-center justify-center text-2xl">✔️</span>
-                </button>
+                </button>`}
+                ${quit ? '' : `<button class="btn btn-outline btn-sm ${habitManager.isRestDay(habit) ? 'btn-active' : ''}" onclick="uiManager.toggleRestDay('${habit.id}')" title="${habitManager.isRestDay(habit) ? 'Take back today\'s rest day' : 'Take a rest day today'}"><i class="fas fa-bed"></i></button>`}
                 <button class="btn btn-outline btn-sm" onclick="uiManager.showHabitDetailsModal('${habit.id}')" title="View details"><i class="fas fa-chart-bar"></i></button>
                 <button class="btn btn-outline btn-sm" onclick="uiManager.showEditHabitModal('${habit.id}')" title="Edit habit"><i class="fas fa-edit"></i></button>
               </div>
@@ -513,6 +2431,33 @@ class UIManager {
         `;
     }
 
+    /**
+     * Progress bar of a time-boxed habit towards its goal, with its outcome once decided
+     */
+    createChallengeProgress(habit, challenge, periodUnit) {
+        const formatDay = (date) => dateUtils.parse(date).toLocaleDateString();
+        const outcome = {
+            upcoming: `<span class="badge badge-ghost badge-sm">Starts ${formatDay(challenge.start)}</span>`,
+            active: challenge.daysLeft !== null
+                ? `<span class="badge badge-outline badge-sm">${challenge.daysLeft} day${challenge.daysLeft === 1 ? '' : 's'} left</span>`
+                : '',
+            succeeded: '<span class="badge badge-success badge-sm">🏆 Goal reached</span>',
+            failed: '<span class="badge badge-error badge-sm">Challenge failed</span>'
+        }[challenge.status];
+        const outOfReach = challenge.status === 'active' && !challenge.reachable
+            ? '<span class="badge badge-warning badge-sm" title="Not enough days are left to reach the goal">Out of reach</span>'
+            : '';
+
+        return `
+              <div class="mt-4">
+                <div class="flex justify-between items-center text-sm mb-1">
+                  <span class="font-medium" title="Completed ${periodUnit}s towards the goal">🎯 ${challenge.completed} / ${habitManager.formatPeriods(challenge.goal, periodUnit)}</span>
+                  <span class="flex gap-1">${outOfReach}${outcome}</span>
+                </div>
+                <progress class="progress ${challenge.status === 'failed' ? 'progress-error' : 'progress-primary'} w-full" value="${challenge.progress}" max="100"></progress>
+              </div>`;
+    }
+
     /**
      * Update overall statistics display
      */
@@ -521,15 +2466,15 @@ class UIManager {
         
         document.getElementById('totalHabits').textContent = stats.totalHabits;
         document.getElementById('todayProgress').textContent = `${stats.todayProgress}%`;
-        document.getElementById('bestStreak').textContent = `${stats.bestStreak} days`;
+        document.getElementById('bestStreak').textContent = habitManager.formatPeriods(stats.bestStreak, stats.bestStreakUnit);
         document.getElementById('overallSuccess').textContent = `${stats.overallSuccess}%`;
     }
 
     /**
      * Show toast notification
      */
-    showToast(message, type = 'info') {
-        notificationManager.showToast(message, type);
+    showToast(message, type = 'info', action = null) {
+        notificationManager.showToast(message, type, action);
     }
 
     /**
@@ -537,7 +2482,103 @@ class UIManager {
      */
     refreshUI() {
         this.renderHabitsList();
+        this.renderArchivedList();
         this.updateStatsDisplay();
+        this.updateTimeOffButton();
+    }
+
+    /**
+     * Show vacation mode on the header button while today is inside a vacation
+     */
+    updateTimeOffButton() {
+        const button = document.getElementById('timeOffBtn');
+        if (!button) return;
+
+        const vacation = storage.getVacationOn();
+        button.classList.toggle('btn-info', Boolean(vacation));
+        button.classList.toggle('btn-outline', !vacation);
+        document.getElementById('timeOffLabel').textContent = vacation
+            ? `On Vacation until ${dateUtils.parse(vacation.end).toLocaleDateString()}`
+            : 'Time Off';
+    }
+
+    /**
+     * Undo the last habit or completion change
+     */
+    undo() {
+        const entry = historyManager.undo();
+        if (!entry) {
+            this.showToast('Nothing to undo', 'info');
+            return;
+        }
+        this.refreshOpenModals();
+        this.refreshUI();
+        this.showToast(`Undone: ${entry.label}`, 'info', { label: 'Redo', onClick: () => this.redo() });
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        const entry = historyManager.redo();
+        if (!entry) {
+            this.showToast('Nothing to redo', 'info');
+            return;
+        }
+        this.refreshOpenModals();
+        this.refreshUI();
+        this.showToast(`Redone: ${entry.label}`, 'info', this.undoAction());
+    }
+
+    /**
+     * Toast action that undoes the change just made
+     */
+    undoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    /**
+     * Refresh after data was changed in another tab
+     */
+    handleExternalChange() {
+        if (this.refreshOpenModals()) {
+            this.showToast('This habit was deleted in another tab', 'warning');
+        }
+        this.refreshUI();
+    }
+
+    /**
+     * Re-render open modals after their habit changed
+     * Returns true when the habit being edited no longer exists
+     */
+    refreshOpenModals() {
+        let editedHabitRemoved = false;
+        if (this.currentEditingHabit && !habitManager.getHabit(this.currentEditingHabit.id)) {
+            this.currentEditingHabit = null;
+            this.closeModal('habitModal');
+            editedHabitRemoved = true;
+        }
+
+        const statsModal = document.getElementById('statsModal');
+        if (statsModal && statsModal.classList.contains('modal-open')) {
+            this.renderStatistics();
+        }
+        const reportsModal = document.getElementById('reportsModal');
+        if (reportsModal && reportsModal.classList.contains('modal-open')) {
+            this.renderReport();
+        }
+
+        const detailsModal = document.getElementById('detailsModal');
+        if (this.currentDetailsHabitId && detailsModal && detailsModal.classList.contains('modal-open')) {
+            const habit = habitManager.getHabit(this.currentDetailsHabitId);
+            if (habit) {
+                this.populateHabitDetails(habit, habitManager.getHabitStats(habit.id));
+            } else {
+                this.closeModal('detailsModal');
+            }
+        }
+
+        return editedHabitRemoved;
     }
 
     /**